@@ -0,0 +1,56 @@
+/**
+ * LruCacheStore keeps the values cached by a ReallyDeterminedPropertyGetter in memory, dropping the least recently used entry once it holds `maxEntries`
+ *
+ *  A cache store is any object with these methods:
+ *    - get(key: string) => Promise<Object|undefined>    // resolves with undefined if there is no entry for the key
+ *    - set(key: string, entry: Object) => Promise        // entries are plain objects: `{ value, storedAt }`
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries
+ * @api public
+ */
+export class LruCacheStore {
+  constructor ({ maxEntries = 1000 } = {}) {
+    if (!(Number.isInteger(maxEntries) && maxEntries >= 1)) {
+      throw new Error(`Expected \`maxEntries\` to be a positive integer, got ${JSON.stringify(maxEntries)}`)
+    }
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  /**
+   * get resolves with the entry stored with the key, or undefined if there isn't one, and marks it as the most recently used
+   *
+   * @param {string} key
+   * @return {Promise<Object|undefined>}
+   * @api public
+   */
+  get (key) {
+    return Promise.resolve().then(() => {
+      if (!this.entries.has(key)) return undefined
+      const entry = this.entries.get(key)
+      // a Map iterates in insertion order, so re-inserting the entry makes it the last one to be dropped
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      return entry
+    })
+  }
+
+  /**
+   * set stores the entry, replacing any previous entry with the same key, and drops the least recently used entry if there are too many
+   *
+   * @param {string} key
+   * @param {Object} entry
+   * @return {Promise}
+   * @api public
+   */
+  set (key, entry) {
+    return Promise.resolve().then(() => {
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+      if (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value)
+      }
+    })
+  }
+}
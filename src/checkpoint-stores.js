@@ -0,0 +1,105 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * MemoryCheckpointStore keeps Transaction checkpoints in memory. Checkpoints are copied as JSON, so they are stored the same way as they would be in a persistent store
+ *
+ *  A checkpoint store is any object with these methods:
+ *    - save(id: string, checkpoint: Object) => Promise
+ *    - load(id: string) => Promise<Object|undefined>    // resolves with undefined if there is no checkpoint for the id
+ *
+ * @api public
+ */
+export class MemoryCheckpointStore {
+  constructor () {
+    this.checkpoints = {}
+  }
+
+  /**
+   * save stores the checkpoint, replacing any previous checkpoint with the same id
+   *
+   * @param {string} id
+   * @param {Object} checkpoint
+   * @return {Promise}
+   * @api public
+   */
+  save (id, checkpoint) {
+    return Promise.resolve().then(() => {
+      this.checkpoints[id] = JSON.stringify(checkpoint)
+    })
+  }
+
+  /**
+   * load resolves with the checkpoint saved with the id, or undefined if there isn't one
+   *
+   * @param {string} id
+   * @return {Promise<Object|undefined>}
+   * @api public
+   */
+  load (id) {
+    return Promise.resolve(this.checkpoints.hasOwnProperty(id) ? JSON.parse(this.checkpoints[id]) : undefined)
+  }
+}
+
+/**
+ * FileCheckpointStore keeps each Transaction checkpoint in a JSON file in the given directory, which must already exist
+ *
+ * @param {string} directory
+ * @api public
+ */
+export class FileCheckpointStore {
+  constructor (directory) {
+    if (typeof directory !== 'string') {
+      throw new Error(`Expected the path of a directory, got ${JSON.stringify(directory)}`)
+    }
+    this.directory = directory
+  }
+
+  /**
+   * save writes the checkpoint to a temporary file, then renames it so that a crash never leaves a half-written checkpoint behind
+   *
+   * @param {string} id
+   * @param {Object} checkpoint
+   * @return {Promise}
+   * @api public
+   */
+  save (id, checkpoint) {
+    const filePath = this.filePath(id)
+    const temporaryPath = `${filePath}.${process.pid}.tmp`
+    return new Promise((resolve, reject) => {
+      fs.writeFile(temporaryPath, JSON.stringify(checkpoint), error => error ? reject(error) : resolve())
+    }).then(() => new Promise((resolve, reject) => {
+      fs.rename(temporaryPath, filePath, error => error ? reject(error) : resolve())
+    }))
+  }
+
+  /**
+   * load resolves with the checkpoint saved with the id, or undefined if there isn't one
+   *
+   * @param {string} id
+   * @return {Promise<Object|undefined>}
+   * @api public
+   */
+  load (id) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.filePath(id), 'utf8', (error, contents) => {
+        if (error && error.code !== 'ENOENT') {
+          reject(error)
+        } else {
+          resolve(contents)
+        }
+      })
+    }).then(contents => contents === undefined ? undefined : JSON.parse(contents))
+  }
+
+  /**
+   * filePath returns the path of the file for the id
+   *
+   * @param {string} id
+   * @return {string}
+   * @api private
+   */
+  filePath (id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`)
+  }
+}
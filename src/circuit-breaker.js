@@ -0,0 +1,136 @@
+/**
+ * CircuitBreaker stops calling a source (or any other backend) which keeps failing, so that callers don't have to wait for it to fail
+ *   - closed: requests are allowed, and their outcomes are kept. Once at least `minimumRequests` of the last `windowSize` outcomes have been recorded,
+ *     and the rate of failures among them reaches `failureThreshold`, the circuit opens
+ *   - open: requests are not allowed for `coolDown` milliseconds, after which the circuit is half-open
+ *   - half-open: a single trial request is allowed. The circuit closes if it succeeds, and opens again if it fails
+ *  A circuit breaker can be shared by the sources of several ReallyDeterminedPropertyGetters which use the same backend
+ *
+ *    const moviesAPI = new CircuitBreaker({ failureThreshold: 0.5, minimumRequests: 10, coolDown: 30000 })
+ *    getter.primarySource(() => mainAPI.getMovieListingsPromise(movieTitles), { circuitBreaker: moviesAPI })
+ *
+ * @param {Object} options
+ * @param {number} options.failureThreshold // the rate of failures, from 0 to 1, at which the circuit opens
+ * @param {number} options.minimumRequests
+ * @param {number} options.windowSize
+ * @param {number} options.coolDown
+ * @api public
+ */
+export default class CircuitBreaker {
+  constructor ({ failureThreshold = 0.5, minimumRequests = 5, windowSize = 10, coolDown = 30000 } = {}) {
+    if (!(failureThreshold > 0 && failureThreshold <= 1)) {
+      throw new Error(`Expected the \`failureThreshold\` to be a rate of failures greater than 0 and at most 1, got ${JSON.stringify(failureThreshold)}`)
+    }
+    if (!(Number.isInteger(windowSize) && windowSize >= 1)) {
+      throw new Error(`Expected the \`windowSize\` to be a positive integer, got ${JSON.stringify(windowSize)}`)
+    }
+    if (!(Number.isInteger(minimumRequests) && minimumRequests >= 1 && minimumRequests <= windowSize)) {
+      throw new Error(`Expected \`minimumRequests\` to be a positive integer no greater than the \`windowSize\` (${windowSize}), got ${JSON.stringify(minimumRequests)}`)
+    }
+    if (!(coolDown >= 0)) {
+      throw new Error(`Expected the \`coolDown\` to be a number of milliseconds, got ${JSON.stringify(coolDown)}`)
+    }
+    this.options = { failureThreshold, minimumRequests, windowSize, coolDown }
+    this.close()
+  }
+
+  /**
+   * state returns 'closed', 'open' or 'half-open'
+   *
+   * @return {string}
+   * @api public
+   */
+  state () {
+    if (this.openedAt === undefined) return 'closed'
+    return Date.now() - this.openedAt >= this.options.coolDown ? 'half-open' : 'open'
+  }
+
+  /**
+   * allowRequest returns true if a request may be made: always when the circuit is closed, never when it is open,
+   *   and when it is half-open, only if no other trial request is in progress (in which case the request becomes the trial request)
+   *
+   * @return {boolean}
+   * @api public
+   */
+  allowRequest () {
+    const state = this.state()
+    if (state === 'closed') return true
+    if (state === 'open' || this.trialInProgress) return false
+    this.trialInProgress = true
+    return true
+  }
+
+  /**
+   * recordSuccess records that a request succeeded, which closes a half-open circuit
+   *
+   * @api public
+   */
+  recordSuccess () {
+    const state = this.state()
+    if (state === 'half-open') {
+      this.close()
+    } else if (state === 'closed') {
+      this.recordOutcome(true)
+    }
+  }
+
+  /**
+   * recordFailure records that a request failed, which opens the circuit if the rate of failures reaches the threshold, or if the circuit is half-open
+   *
+   * @api public
+   */
+  recordFailure () {
+    const state = this.state()
+    if (state === 'half-open') {
+      this.open()
+    } else if (state === 'closed') {
+      this.recordOutcome(false)
+      const failures = this.outcomes.filter(succeeded => !succeeded).length
+      if (this.outcomes.length >= this.options.minimumRequests && failures / this.outcomes.length >= this.options.failureThreshold) {
+        this.open()
+      }
+    }
+  }
+
+  /**
+   * release records that a request was given up on before it had an outcome, so that a half-open circuit allows another trial request
+   *
+   * @api public
+   */
+  release () {
+    this.trialInProgress = false
+  }
+
+  /**
+   * recordOutcome keeps the outcome of a request, along with the previous ones which are still in the window
+   *
+   * @param {boolean} succeeded
+   * @api private
+   */
+  recordOutcome (succeeded) {
+    this.outcomes.push(succeeded)
+    if (this.outcomes.length > this.options.windowSize) this.outcomes.shift()
+  }
+
+  /**
+   * open opens the circuit, starting its cool-down
+   *
+   * @api private
+   */
+  open () {
+    this.openedAt = Date.now()
+    this.outcomes = []
+    this.trialInProgress = false
+  }
+
+  /**
+   * close closes the circuit, forgetting the outcomes recorded so far
+   *
+   * @api private
+   */
+  close () {
+    this.openedAt = undefined
+    this.outcomes = []
+    this.trialInProgress = false
+  }
+}
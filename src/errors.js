@@ -0,0 +1,78 @@
+/**
+ * TransactionError is what the Promise returned by `Transaction.execute` rejects with when the transaction is abandoned
+ *
+ * @param {string} message
+ * @param {Object} details
+ * @param {number} details.stepIndex    // index of the step which failed
+ * @param {string} details.stepName     // name of the step which failed
+ * @param {Object} details.context      // context at the time the transaction was abandoned
+ * @param {Error} details.cause         // the last error of the step which failed
+ * @api public
+ */
+export class TransactionError extends Error {
+  constructor (message, { stepIndex, stepName, context, cause } = {}) {
+    super(message)
+    // Babel cannot extend built-in classes such as Error, so the prototype has to be restored for `instanceof` to work
+    Object.setPrototypeOf(this, TransactionError.prototype)
+    this.name = 'TransactionError'
+    this.stepIndex = stepIndex
+    this.stepName = stepName
+    this.context = context
+    this.cause = cause
+  }
+}
+
+/**
+ * TimeoutError is what a step (or a source) fails with when it doesn't settle in time
+ *
+ * @param {string} message
+ * @param {number} timeout    // the number of milliseconds which was exceeded
+ * @api public
+ */
+export class TimeoutError extends Error {
+  constructor (message, timeout) {
+    super(message)
+    Object.setPrototypeOf(this, TimeoutError.prototype)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+  }
+}
+
+/**
+ * ApprovalRejectedError is what an approval step fails with when its approval is rejected
+ *
+ * @param {string} message
+ * @param {any} reason    // the reason passed to `reject`
+ * @api public
+ */
+export class ApprovalRejectedError extends Error {
+  constructor (message, reason) {
+    super(message)
+    Object.setPrototypeOf(this, ApprovalRejectedError.prototype)
+    this.name = 'ApprovalRejectedError'
+    this.reason = reason
+  }
+}
+
+/**
+ * CancellationError is what the Promise returned by `Transaction.execute` rejects with when the transaction is cancelled
+ *
+ * @param {string} message
+ * @param {Object} details
+ * @param {any} details.reason          // the reason passed to `cancel`, or the reason of the aborted signal
+ * @param {number} details.stepIndex    // index of the step the transaction was at when it stopped
+ * @param {string} details.stepName     // name of that step
+ * @param {Object} details.context      // context at the time the transaction stopped
+ * @api public
+ */
+export class CancellationError extends Error {
+  constructor (message, { reason, stepIndex, stepName, context } = {}) {
+    super(message)
+    Object.setPrototypeOf(this, CancellationError.prototype)
+    this.name = 'CancellationError'
+    this.reason = reason
+    this.stepIndex = stepIndex
+    this.stepName = stepName
+    this.context = context
+  }
+}
@@ -1,3 +1,7 @@
+import { LruCacheStore } from './cache-stores'
+import CircuitBreaker from './circuit-breaker'
+import { MemoryCheckpointStore, FileCheckpointStore } from './checkpoint-stores'
+import { ApprovalRejectedError, CancellationError, TimeoutError, TransactionError } from './errors'
 import PromiseChainErrorCatcher from './promise-chain-error-catcher'
 import Quitter from './quitter'
 import ReallyDeterminedPropertyGetter from './really-determined-property-getter'
@@ -5,9 +9,17 @@ import Transaction from './transaction'
 import assertIsPromise from './assert-is-promise'
 
 export {
+  ApprovalRejectedError,
+  CancellationError,
+  CircuitBreaker,
+  FileCheckpointStore,
+  LruCacheStore,
+  MemoryCheckpointStore,
   PromiseChainErrorCatcher,
   Quitter,
   ReallyDeterminedPropertyGetter,
+  TimeoutError,
   Transaction,
+  TransactionError,
   assertIsPromise
 }
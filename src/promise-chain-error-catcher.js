@@ -54,6 +54,7 @@ export default class PromiseChainErrorCatcher {
 
   /**
    * reportError returns a summary of all the errors that it has been notified of
+   *   Errors with a truthy `skipped` property are summarized as skipped, rather than failed
    *
    * @return {Error}
    * @api public
@@ -67,7 +68,11 @@ export default class PromiseChainErrorCatcher {
       }
       const stepName = oneError.stepName
       errorMessage += `  - ${stepName} `
-      errorMessage += oneError.success ? `resolved with ${oneError.toString()}` : `failed because ${oneError.message}`
+      if (oneError.success) {
+        errorMessage += `resolved with ${oneError.toString()}`
+      } else {
+        errorMessage += oneError.skipped ? `skipped: ${oneError.message}` : `failed because ${oneError.message}`
+      }
       errorMessage += '\n'
     })
     return new Error(errorMessage)
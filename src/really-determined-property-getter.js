@@ -1,6 +1,57 @@
+/* global AbortController */
 import PromiseChainErrorCatcher from './promise-chain-error-catcher'
 import assertIsPromise from './assert-is-promise'
 import Quitter from './quitter'
+import { LruCacheStore } from './cache-stores'
+import { TimeoutError } from './errors'
+import CircuitBreaker from './circuit-breaker'
+
+const strategies = ['sequential', 'hedged', 'race', 'quorum']
+
+/**
+ * createController returns what a call to a source is aborted with: its `signal` is passed to the source, and `onAbort` listens for `abort`
+ *   Where there is no AbortController (before Node 15), the source gets an undefined `signal`, but `abort` still reaches the listeners
+ *
+ * @return {Object}
+ * @api private
+ */
+function createController () {
+  const controller = typeof AbortController === 'function' ? new AbortController() : undefined
+  const listeners = []
+  return {
+    signal: controller && controller.signal,
+    onAbort: listener => listeners.push(listener),
+    abort: reason => {
+      listeners.splice(0).forEach(listener => listener())
+      if (controller) controller.abort(reason)
+    }
+  }
+}
+
+/**
+ * serializeArguments returns the arguments of `get` as JSON, or undefined if JSON could mistake them for other arguments:
+ *   only strings, finite numbers, booleans, null, and arrays and plain objects of those are serialized
+ *
+ * @param {Array} args
+ * @return {string|undefined}
+ * @api private
+ */
+function serializeArguments (args) {
+  const ancestors = []
+  const isSerializable = value => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return true
+    if (typeof value === 'number') return isFinite(value)
+    if (!value || typeof value !== 'object' || ancestors.indexOf(value) >= 0) return false
+    const isArray = Array.isArray(value)
+    if (!isArray && Object.getPrototypeOf(value) !== Object.prototype) return false
+    ancestors.push(value)
+    // holes in arrays become undefined, which isn't serializable either
+    const serializable = (isArray ? Array.from(value) : Object.keys(value).map(key => value[key])).every(isSerializable)
+    ancestors.pop()
+    return serializable
+  }
+  return args.every(isSerializable) ? JSON.stringify(args) : undefined
+}
 
 export default class ReallyDeterminedPropertyGetter {
   constructor () {
@@ -8,38 +59,48 @@ export default class ReallyDeterminedPropertyGetter {
       secondarySources: [],
       primarySourceSynchronizers: []
     }
-    this.verifyValue = this.verifyValue.bind(this)
+    this.outcomes = new Map()
+    this.inFlight = new Map()
+    this.revalidations = new Map()
   }
 
   /**
    * Register a primary source. Required, and may only be called once
+   *   The getter is called with `{ signal }`, an AbortSignal which is aborted if the source times out or is no longer needed (see `strategy`), followed by the arguments of `get`.
+   *   Where there is no AbortController (before Node 15), the `signal` is undefined
+   *   - timeout: the number of milliseconds after which the source fails with a TimeoutError if it hasn't settled
+   *   - name: what the source is called in the error summary and the `report`, instead of its position
+   *   - circuitBreaker: a CircuitBreaker (see ./circuit-breaker), which may be shared with other sources using the same backend.
+   *     While it is open, the source is skipped and shows up as "skipped: circuit open" in the error summary
    *
    * @param {Function} getter
+   * @param {Object} options
    * @return {ReallyDeterminedPropertyGetter}
    * @api public
    */
-  primarySource (getter) {
-    if (this.configuration.primarySource) throw new Error('There can only be one primary source. You already registered this primary source:\n' + this.configuration.primarySource.toString())
-    this.configuration.primarySource = getter
+  primarySource (getter, options) {
+    if (this.configuration.primarySource) throw new Error('There can only be one primary source. You already registered this primary source:\n' + this.configuration.primarySource.getter.toString())
+    this.configuration.primarySource = this.describeSource(getter, options, 'primary source')
     return this
   }
 
   /**
-   * Register a secondary source. Optional, and may be called multiple times.
+   * Register a secondary source. Optional, and may be called multiple times. It takes the same options as `primarySource`
    *
    * @param {Function} getter
+   * @param {Object} options
    * @return {ReallyDeterminedPropertyGetter}
    * @api public
    */
-  secondarySource (getter) {
-    this.configuration.secondarySources.push(getter)
+  secondarySource (getter, options) {
+    this.configuration.secondarySources.push(this.describeSource(getter, options, 'secondary source', this.configuration.secondarySources.length + 1))
     return this
   }
 
   /**
-   * Register a verification method to determine if a resolved value is acceptable
+   * Register a verification method to determine if a resolved value is acceptable. It is called with the value, followed by the arguments of `get`
    *
-   * @param {(value: any) => boolean} verifier
+   * @param {(value: any, ...args: any) => boolean} verifier
    * @return {ReallyDeterminedPropertyGetter}
    * @api public
    */
@@ -54,8 +115,9 @@ export default class ReallyDeterminedPropertyGetter {
    *   - it is called if:
    *      1. the primary source fails (Promise rejects or value fails verification), AND
    *      2. one secondary source succeeded (Promise resolves and value passes verification)
+   *   - it is called with the value, followed by the arguments of `get`
    *
-   * @param {(value: any) => Promise} primarySourceSynchronizer
+   * @param {(value: any, ...args: any) => Promise} primarySourceSynchronizer
    * @return {ReallyDeterminedPropertyGetter}
    * @api public
    */
@@ -75,58 +137,674 @@ export default class ReallyDeterminedPropertyGetter {
     return this
   }
 
+  /**
+   * Sets a flag indicating that `get` should throw if it is called again before the previous call completed,
+   *   instead of returning the Promise of the call with the same arguments which is in progress
+   *
+   * @return {ReallyDeterminedPropertyGetter}
+   * @api public
+   */
+  disallowConcurrentGets () {
+    this.configuration.disallowConcurrentGets = true
+    return this
+  }
+
+  /**
+   * Choose how the sources are tried. May only be called once
+   *   - 'sequential' (the default): each source is tried once the previous one has failed
+   *   - 'hedged': the next source is also started if the current one hasn't succeeded within `delay` milliseconds, or as soon as it fails
+   *   - 'race': all the sources are started at once
+   *   - 'quorum': all the sources are started at once, and the value is only accepted once `required` of them have returned verified values which are `equals`
+   *    (by default, values are equal if their JSON is the same). If they can't agree, `get` rejects with a summary of what each source returned
+   *  With 'hedged' and 'race', the first verified value wins, and the sources which are still running are aborted with the `signal` they are called with
+   *  (see `primarySource`). Their results are ignored. The primarySourceSynchronizers are only called if the primary source failed before the value was found,
+   *  or, with 'quorum', if it failed or returned a value which the others didn't agree with
+   *
+   *    getter.strategy('quorum', { required: 2, equals: (price, otherPrice) => Math.abs(price - otherPrice) < 0.01 })
+   *
+   * @param {string} name
+   * @param {Object} options
+   * @param {number} options.delay // required for 'hedged'
+   * @param {number} options.required // required for 'quorum'
+   * @param {Function} options.equals
+   * @return {ReallyDeterminedPropertyGetter}
+   * @api public
+   */
+  strategy (name, { delay, required, equals = (value, otherValue) => JSON.stringify(value) === JSON.stringify(otherValue) } = {}) {
+    if (this.configuration.strategy) throw new Error(`There can only be one strategy. You already chose the '${this.configuration.strategy.name}' strategy`)
+    if (strategies.indexOf(name) < 0) throw new Error(`Expected the strategy to be one of ${strategies.join(', ')}, got ${JSON.stringify(name)}`)
+    if (name === 'hedged' && !(delay > 0)) throw new Error(`Expected the \`delay\` of the 'hedged' strategy to be a positive number of milliseconds, got ${JSON.stringify(delay)}`)
+    if (name === 'quorum' && !(Number.isInteger(required) && required >= 2)) throw new Error(`Expected the number of sources \`required\` to agree by the 'quorum' strategy to be an integer of at least 2, got ${JSON.stringify(required)}`)
+    if (name === 'quorum' && typeof equals !== 'function') throw new Error(`Expected the \`equals\` function of the 'quorum' strategy to be a function, got ${JSON.stringify(equals)}`)
+    this.configuration.strategy = name === 'quorum' ? { name, delay: 0, required, equals } : { name, delay: name === 'hedged' ? delay : 0 }
+    return this
+  }
+
+  /**
+   * Order the sources by how healthy they have been recently, instead of the order they were registered in. May only be called once
+   *   - the secondary sources are ordered by their success rate over their last `windowSize` calls, then by the average latency of their successful calls
+   *   - calls older than `maxAge` ms (5 minutes by default) no longer count, so a source which was demoted gets tried again once its failures have expired
+   *   - sources which haven't been called yet count as successful, with an unknown latency, so they are tried after the sources which always succeeded
+   *   - the primary source stays first, unless `demotePrimary` is true, in which case it is ranked like the others.
+   *     The primarySourceSynchronizers are still only called if the primary source was tried and failed
+   *  The order is used by every strategy. `sourceHealth` returns what it is based on
+   *
+   * @param {Object} options
+   * @param {boolean} options.demotePrimary
+   * @param {number} options.windowSize
+   * @param {number} options.maxAge
+   * @return {ReallyDeterminedPropertyGetter}
+   * @api public
+   */
+  adaptiveOrder ({ demotePrimary = false, windowSize = 20, maxAge = 5 * 60 * 1000 } = {}) {
+    if (this.configuration.adaptiveOrder) throw new Error('There can only be one adaptive order. You already called `adaptiveOrder`')
+    if (!(Number.isInteger(windowSize) && windowSize >= 1)) throw new Error(`Expected the \`windowSize\` of the adaptive order to be a positive integer, got ${JSON.stringify(windowSize)}`)
+    if (!(maxAge > 0)) throw new Error(`Expected the \`maxAge\` of the adaptive order to be a positive number of milliseconds, got ${JSON.stringify(maxAge)}`)
+    this.configuration.adaptiveOrder = { demotePrimary: !!demotePrimary, windowSize, maxAge }
+    return this
+  }
+
+  /**
+   * Cache the last verified value, so that `get` doesn't have to hit the sources every time. May only be called once
+   *   - ttl: for this many milliseconds after a value was found, `get` resolves with it without trying any source
+   *   - staleWhileRevalidate: for this many milliseconds after the `ttl`, `get` resolves with the stale value right away, and gets a fresh one from the sources in the background
+   *   - staleIfError: if all the sources fail, `get` resolves with the stale value instead of rejecting: either `true`, or the number of milliseconds after the `ttl` during which it may
+   *   - store: where the value is cached, an LruCacheStore by default (see ./cache-stores for the methods of a custom store). Errors of the store are treated as cache misses
+   *   - key: the key of the value in the store, which is needed if several getters share a store. The value found for each list of arguments of `get`
+   *     is cached separately, under the key followed by the arguments as JSON (e.g. `movies:["Alien",1979]`). `key` can also be a function which is called
+   *     with the arguments and returns the key. Without one, the value isn't cached for arguments which JSON can't tell apart from others (see `get`)
+   *
+   * @param {Object} options
+   * @return {ReallyDeterminedPropertyGetter}
+   * @api public
+   */
+  cache ({ ttl, staleWhileRevalidate = 0, staleIfError = false, store = new LruCacheStore(), key = 'value' } = {}) {
+    if (this.configuration.cache) throw new Error(`There can only be one cache. You already registered a cache with a ttl of ${this.configuration.cache.ttl} ms`)
+    if (!(ttl > 0)) throw new Error(`Expected the cache's \`ttl\` to be a positive number of milliseconds, got ${JSON.stringify(ttl)}`)
+    if (!(staleWhileRevalidate >= 0)) throw new Error(`Expected the cache's \`staleWhileRevalidate\` to be a number of milliseconds, got ${JSON.stringify(staleWhileRevalidate)}`)
+    if (!(typeof staleIfError === 'boolean' || staleIfError >= 0)) throw new Error(`Expected the cache's \`staleIfError\` to be a boolean or a number of milliseconds, got ${JSON.stringify(staleIfError)}`)
+    if (!store || typeof store.get !== 'function' || typeof store.set !== 'function') throw new Error('Expected the cache\'s `store` to have `get(key)` and `set(key, entry)` methods')
+    if (!(typeof key === 'function' || (typeof key === 'string' && key))) throw new Error(`Expected the cache's \`key\` to be a non-empty string or a function, got ${JSON.stringify(key)}`)
+    this.configuration.cache = { ttl, staleWhileRevalidate, staleIfError, store, key }
+    return this
+  }
+
   /**
    * Returns a Promise which will be resolved or rejected reflecting the result of all the sources
+   *  - Passes its arguments to the sources, the verifier and the primarySourceSynchronizers
+   *  - Resolves with the cached value if there is a cache and the value is fresh enough (see `cache`)
    *  - Tries the primary source followed by secondary sources in the order they were added
    *  - Calls all primarySourceSynchronizers with the successfully retrieved value
    *  - Resolves with the first successfully retrieved value
    *  - Rejects with the rejection messages of all sources if no sources' values were acceptable
+   *  - Returns the same Promise to every caller with the same arguments (compared as JSON) while a call is in progress, so the sources are only tried once
+   *    for all of them (unless `disallowConcurrentGets` was called, in which case it throws if any call is in progress).
+   *    Arguments which JSON can't tell apart from others, such as undefined, Maps, instances of classes or circular objects, aren't shared
    *
+   * @param {...any} args
    * @return {any}
    * @api public
    */
-  get () {
-    if (this.getInProgress) throw new Error('`get` was called again before the first call to `get` completed. This will produce unexpected behavior and is not allowed.')
+  get (...args) {
+    return this.startCall(args).promise
+  }
+
+  /**
+   * Same as `get`, but resolves with `{ value, report }`, where `report` says how the value was found for this call (see `report`)
+   *   Unlike `report()`, it stays right when several calls to `get` are in progress at once
+   *
+   * @param {...any} args
+   * @return {Promise<Object>}
+   * @api public
+   */
+  getWithReport (...args) {
+    const call = this.startCall(args)
+    return call.promise.then(value => ({ value, report: Object.assign({}, call.report) }))
+  }
+
+  /**
+   * startCall returns the call in progress with the same arguments, if there is one, or starts a new one: its `promise` and the `report` it fills in
+   *
+   * @param {Array} args
+   * @return {Object}
+   * @api private
+   */
+  startCall (args) {
+    // a call which can't be shared is still in flight, under a key which no other call has
+    const serializedArgs = serializeArguments(args)
+    const flightKey = serializedArgs === undefined ? {} : serializedArgs
+    if (this.inFlight.size) {
+      if (!this.configuration.disallowConcurrentGets) {
+        if (this.inFlight.has(flightKey)) return this.inFlight.get(flightKey)
+      } else {
+        throw new Error('`get` was called again before the first call to `get` completed. This will produce unexpected behavior and is not allowed.')
+      }
+    }
     if (!this.configuration.primarySource) throw new Error('Cannot get value without a primary source. Use `.primarySource(() => primarySourcePromise)`')
+    const { strategy } = this.configuration
+    if (strategy && strategy.name === 'quorum' && this.sources().length < strategy.required) {
+      throw new Error(`The 'quorum' strategy needs at least ${strategy.required} sources to agree, but there ${this.sources().length === 1 ? 'is only 1 source' : `are only ${this.sources().length} sources`}`)
+    }
+
+    const report = { stale: false }
+    const promise = (this.configuration.cache ? this.getWithCache(report, args) : this.getFromSources(report, args))
+      .then(value => { this.inFlight.delete(flightKey); this.lastReport = report; return value })
+      .catch(error => { this.inFlight.delete(flightKey); this.lastReport = Object.assign(report, { source: undefined }); throw error })
+    const call = { promise, report }
+    this.inFlight.set(flightKey, call)
+    return call
+  }
+
+  /**
+   * report returns how the value of the `get` which completed most recently was found, or undefined if `get` hasn't completed yet.
+   *   When several calls are in progress at once, that may not be the caller's: use `getWithReport` to get the report of a call
+   *   - source: 'cache', 'primary source' or 'secondary source #n' (or the name given to the source), 'quorum', or undefined if `get` rejected
+   *   - agreeing: the sources which agreed on the value, with the 'quorum' strategy
+   *   - stale: true if the value came from the cache after its `ttl`
+   *   - age: the number of milliseconds since a value from the cache was found
+   *   - revalidating: true if a fresh value is being fetched in the background (see `staleWhileRevalidate`)
+   *   - error: the error the sources failed with, if a stale value was used instead (see `staleIfError`)
+   *   - cacheError: the error of the cache store, if it failed
+   *
+   *    { source: 'cache', stale: true, age: 61200, error: new Error('The Really Determined Property Getter has failed. ...') }
+   *
+   * @return {Object|undefined}
+   * @api public
+   */
+  report () {
+    return this.lastReport && Object.assign({}, this.lastReport)
+  }
+
+  /**
+   * sourceHealth returns the health of each source which `adaptiveOrder` ranks them by, in the order they would be tried:
+   *   the `name` of the source, the number of recent `calls` which it is based on, their `successRate` and the average `latency` of the successful ones
+   *
+   *    [{ name: 'primary source', calls: 20, successRate: 0.95, latency: 120 }, { name: 'secondary source #2', calls: 3, successRate: 1, latency: 310 }, ...]
+   *
+   * @return {Array<Object>}
+   * @api public
+   */
+  sourceHealth () {
+    if (!this.configuration.primarySource) throw new Error('Cannot get the health of the sources without a primary source. Use `.primarySource(() => primarySourcePromise)`')
+    return this.orderedSources().map(source => Object.assign({ name: source.name }, this.health(source)))
+  }
+
+  /**
+   * getWithCache resolves with the cached value if it is fresh, or within `staleWhileRevalidate`. Otherwise it gets the value from the sources and caches it,
+   *   falling back to the cached value if they all fail and it is within `staleIfError`
+   *
+   * @param {Object} report
+   * @param {Array} args
+   * @return {Promise}
+   * @api private
+   */
+  getWithCache (report, args) {
+    const { ttl, staleWhileRevalidate, staleIfError } = this.configuration.cache
+    const key = this.cacheKey(args)
+    if (key === undefined) return this.getFromSources(report, args)
+    return this.loadCacheEntry(key, report)
+      .then(entry => {
+        const age = entry ? Date.now() - entry.storedAt : Infinity
+        if (age < ttl) return this.useCacheEntry(entry, age, report)
+        if (age < ttl + staleWhileRevalidate) {
+          report.revalidating = true
+          this.revalidate(key, args)
+          return this.useCacheEntry(entry, age, report)
+        }
+        return this.getFromSources(report, args)
+          .then(value => this.saveCacheEntry(key, value, report))
+          .catch(error => {
+            if (!entry || !(staleIfError === true || age < ttl + staleIfError)) throw error
+            report.error = error
+            return this.useCacheEntry(entry, age, report)
+          })
+      })
+  }
+
+  /**
+   * revalidate gets a fresh value from the sources in the background, unless that is already happening for the same key, and caches it
+   *   If the sources fail, the stale value stays in the cache
+   *
+   * @param {string} key
+   * @param {Array} args
+   * @api private
+   */
+  revalidate (key, args) {
+    if (this.revalidations.has(key)) return
+    const report = {}
+    this.revalidations.set(key, Promise.resolve()
+      .then(() => this.getFromSources(report, args))
+      .then(value => this.saveCacheEntry(key, value, report))
+      .catch(() => {})
+      .then(() => { this.revalidations.delete(key) }))
+  }
+
+  /**
+   * cacheKey returns the key which the value found for the arguments of `get` is cached under, or undefined if the arguments can't be serialized reliably
+   *
+   * @param {Array} args
+   * @return {string|undefined}
+   * @api private
+   */
+  cacheKey (args) {
+    const { key } = this.configuration.cache
+    if (typeof key === 'function') return key(...args)
+    if (!args.length) return key
+    const serializedArgs = serializeArguments(args)
+    return serializedArgs === undefined ? undefined : `${key}:${serializedArgs}`
+  }
+
+  /**
+   * loadCacheEntry resolves with the cached entry, or undefined if there isn't one or the store fails
+   *
+   * @param {string} key
+   * @param {Object} report
+   * @return {Promise<Object|undefined>}
+   * @api private
+   */
+  loadCacheEntry (key, report) {
+    const { store } = this.configuration.cache
+    return Promise.resolve()
+      .then(() => assertIsPromise(store.get(key)))
+      .catch(error => { report.cacheError = error })
+  }
+
+  /**
+   * saveCacheEntry caches the value, and resolves with it even if the store fails
+   *
+   * @param {string} key
+   * @param {any} value
+   * @param {Object} report
+   * @return {Promise}
+   * @api private
+   */
+  saveCacheEntry (key, value, report) {
+    const { store } = this.configuration.cache
+    return Promise.resolve()
+      .then(() => assertIsPromise(store.set(key, { value, storedAt: Date.now() })))
+      .catch(error => { report.cacheError = error })
+      .then(() => value)
+  }
+
+  /**
+   * useCacheEntry records in the report that the value came from the cache, and returns it
+   *
+   * @param {Object} entry
+   * @param {number} age
+   * @param {Object} report
+   * @return {any}
+   * @api private
+   */
+  useCacheEntry (entry, age, report) {
+    report.source = 'cache'
+    report.stale = age >= this.configuration.cache.ttl
+    report.age = age
+    return entry.value
+  }
+
+  /**
+   * getFromSources tries the primary source followed by the secondary sources (see `adaptiveOrder`), and records the one which succeeded in the report
+   *   The primarySourceSynchronizers are called with the value if the primary source failed before it was found
+   *   Rejects with a summary of what every source did if none succeeded
+   *
+   * @param {Object} report
+   * @param {Array} args
+   * @return {Promise}
+   * @api private
+   */
+  getFromSources (report, args) {
+    const { strategy } = this.configuration
+    if (strategy && strategy.name === 'quorum') return this.getByQuorum(report, args)
+    if (strategy && strategy.name !== 'sequential') return this.getConcurrently(report, args)
 
     const errorCatcher = new PromiseChainErrorCatcher('The Really Determined Property Getter')
     const quitter = new Quitter()
-    this.getInProgress = true
-
-    return assertIsPromise(this.configuration.primarySource())
-      .then(this.verifyValue)
-      .catch(errorCatcher.nameError('primary source'))
-      .catch(primaryError => this.getFromSecondaries(errorCatcher, quitter, primaryError))
-      .then(value => { this.getInProgress = false; return value })
-      .catch(error => { this.getInProgress = false; throw error })
+    const [firstSource, ...otherSources] = this.orderedSources()
+    let primaryFailed = false
+    const trySource = source => this.callSource(source, createController(), args)
+      .then(value => this.verifyValue(value, args))
+      .catch(errorCatcher.nameError(source.name))
+      .catch(error => {
+        primaryFailed = primaryFailed || source === this.configuration.primarySource
+        throw error
+      })
+
+    let promise = trySource(firstSource)
+      .then(value => { report.source = firstSource.name; return value })
+    otherSources.forEach(source => {
+      promise = promise
+        .catch(error => {
+          quitter.maybeQuit(error)
+          errorCatcher.push(error)
+          return trySource(source)
+            .then(errorCatcher.recordSuccess(source.name))
+            .then(value => { report.source = source.name; return value })
+            .then(value => primaryFailed ? this.performSynchronizationWithPrimary(errorCatcher, quitter, value, args) : value)
+        })
+    })
+    return promise.catch(errorCatcher.handleFinalError())
+  }
+
+  /**
+   * getConcurrently gets the value with the 'hedged' or 'race' strategy, and synchronizes it with the primary source if the primary source failed
+   *   Rejects with a summary of what every source which was started did if none succeeded
+   *
+   * @param {Object} report
+   * @param {Array} args
+   * @return {Promise}
+   * @api private
+   */
+  getConcurrently (report, args) {
+    const errorCatcher = new PromiseChainErrorCatcher('The Really Determined Property Getter')
+    const quitter = new Quitter()
+    const failures = []
+
+    const sources = this.orderedSources()
+    const primaryIndex = sources.indexOf(this.configuration.primarySource)
+
+    return this.startSources(sources, failures, args, (index, value) => ({ name: sources[index].name, value }))
+      .then(({ name, value }) => {
+        // the failures are summarized in the order of the sources, rather than the order they happened in
+        failures.filter(Boolean).forEach(errorCatcher.catchError)
+        errorCatcher.recordSuccess(name)(value)
+        report.source = name
+        return failures[primaryIndex] ? this.performSynchronizationWithPrimary(errorCatcher, quitter, value, args) : value
+      }, () => {
+        const errors = failures.filter(Boolean)
+        errors.slice(0, -1).forEach(errorCatcher.catchError)
+        throw errors[errors.length - 1]
+      })
       .catch(errorCatcher.handleFinalError())
   }
 
   /**
-   * getFromSecondaries attempts to get the value from each of the secondary sources in order
+   * getByQuorum gets the value with the 'quorum' strategy, and synchronizes it with the primary source if the primary source failed or disagreed
+   *   Rejects with a summary of what every source did if not enough of them agreed
    *
-   * @param {PromiseChainErrorCatcher} errorCatcher
-   * @param {Quitter} quitter
-   * @param {Error} primaryError
+   * @param {Object} report
+   * @param {Array} args
    * @return {Promise}
    * @api private
    */
-  getFromSecondaries (errorCatcher, quitter, primaryError) {
-    let secondaryPromise = Promise.reject(primaryError)
-    this.configuration.secondarySources.forEach((secondarySource, index) => {
-      const name = 'secondary source #' + (index + 1)
-      secondaryPromise = secondaryPromise
-        .catch(secondaryError => {
-          quitter.maybeQuit(secondaryError)
-          errorCatcher.push(secondaryError)
-          return assertIsPromise(secondarySource(), 'secondarySource')
-            .then(this.verifyValue)
-            .catch(errorCatcher.nameError(name))
-            .then(errorCatcher.recordSuccess(name))
-            .then(value => this.performSynchronizationWithPrimary(errorCatcher, quitter, value))
-        })
+  getByQuorum (report, args) {
+    const { required, equals } = this.configuration.strategy
+    const errorCatcher = new PromiseChainErrorCatcher('The Really Determined Property Getter')
+    const quitter = new Quitter()
+    const sources = this.orderedSources()
+    const primaryIndex = sources.indexOf(this.configuration.primarySource)
+    const failures = []
+    const results = []
+    const summarize = () => sources.forEach(({ name }, index) => {
+      if (failures[index]) errorCatcher.catchError(failures[index])
+      if (results[index]) errorCatcher.recordSuccess(name)(results[index].value)
+    })
+
+    return this.startSources(sources, failures, args, (index, value) => {
+      let agreeing
+      try {
+        agreeing = sources.map((source, otherIndex) => otherIndex)
+          .filter(otherIndex => otherIndex === index || (results[otherIndex] && equals(results[otherIndex].value, value)))
+      } catch (error) {
+        error.message = `its value could not be compared with the others because ${error.message}`
+        throw error
+      }
+      // the values are wrapped, so that a source which resolved with undefined can be told apart from one which hasn't resolved
+      results[index] = { value }
+      return agreeing.length >= required ? { agreeing, value } : undefined
+    })
+      .then(({ agreeing, value }) => {
+        summarize()
+        report.source = 'quorum'
+        report.agreeing = agreeing.map(index => sources[index].name)
+        const primaryDisagreed = agreeing.indexOf(primaryIndex) < 0 && !!(failures[primaryIndex] || results[primaryIndex])
+        return primaryDisagreed ? this.performSynchronizationWithPrimary(errorCatcher, quitter, value, args) : value
+      }, () => {
+        summarize()
+        const error = new Error(`fewer than ${required} sources agreed on the value`)
+        error.stepName = 'quorum'
+        throw error
+      })
+      .catch(errorCatcher.handleFinalError())
+  }
+
+  /**
+   * startSources starts the sources in order, each one after the strategy's `delay` or as soon as the previous one fails, until `found` returns a result
+   *   - `found` is called with the index and the value of each source which succeeds, and returns the result (or undefined to keep going).
+   *     If it throws, the source counts as failed
+   *   - resolves with the result, after aborting the other sources which are still running
+   *   - rejects once all the sources have settled without a result. The error of each source which failed is put in `failures` at its index
+   *
+   * @param {Array<Object>} sources
+   * @param {Array<Error>} failures
+   * @param {Array} args // the arguments of `get`
+   * @param {Function} found
+   * @return {Promise<Object>}
+   * @api private
+   */
+  startSources (sources, failures, args, found) {
+    const { delay } = this.configuration.strategy
+    const controllers = []
+    let nextSource = 0
+    let running = 0
+    let settled = false
+    let timer
+
+    return new Promise((resolve, reject) => {
+      const continueUnlessDone = () => {
+        if (nextSource < sources.length) {
+          startNextSource()
+        } else if (!running) {
+          settled = true
+          reject(new Error('none of the sources produced a result'))
+        }
+      }
+      const startNextSource = () => {
+        clearTimeout(timer)
+        if (settled || nextSource >= sources.length) return
+        const index = nextSource++
+        controllers[index] = createController()
+        running += 1
+        Promise.resolve()
+          .then(() => this.callSource(sources[index], controllers[index], args))
+          .then(value => this.verifyValue(value, args))
+          .then(value => {
+            if (settled) return
+            const result = found(index, value)
+            if (!result) return
+            settled = true
+            clearTimeout(timer)
+            controllers.forEach((controller, otherIndex) => otherIndex !== index && controller.abort())
+            resolve(result)
+          })
+          // an error thrown by `found` counts as a failure of the source, like one of the source itself
+          .catch(error => {
+            if (settled) return
+            error.stepName = error.stepName || sources[index].name
+            failures[index] = error
+          })
+          .then(() => {
+            running -= 1
+            if (!settled) continueUnlessDone()
+          })
+        if (!delay) {
+          startNextSource()
+        } else if (nextSource < sources.length) {
+          timer = setTimeout(startNextSource, delay)
+        }
+      }
+      startNextSource()
+    })
+  }
+
+  /**
+   * sources returns the primary source followed by the secondary sources
+   *
+   * @return {Array<Object>}
+   * @api private
+   */
+  sources () {
+    return [this.configuration.primarySource].concat(this.configuration.secondarySources)
+  }
+
+  /**
+   * orderedSources returns the sources in the order they should be tried: the order they were registered in,
+   *   or with `adaptiveOrder`, the secondary sources (and the primary source, if it may be demoted) by their success rate and then their average latency
+   *
+   * @return {Array<Object>}
+   * @api private
+   */
+  orderedSources () {
+    const sources = this.sources()
+    const { adaptiveOrder } = this.configuration
+    if (!adaptiveOrder) return sources
+
+    const rankedSources = adaptiveOrder.demotePrimary ? sources : sources.slice(1)
+    const orderedSources = rankedSources
+      .map((source, index) => Object.assign({ source, index }, this.health(source)))
+      .sort((a, b) => (b.successRate - a.successRate) || (a.latency - b.latency) || (a.index - b.index))
+      .map(({ source }) => source)
+    return adaptiveOrder.demotePrimary ? orderedSources : [sources[0]].concat(orderedSources)
+  }
+
+  /**
+   * health returns the `successRate` of the recent calls to a source, and the average `latency` of the successful ones in milliseconds
+   *   A source which hasn't been called within the `maxAge` has a success rate of 1, and a source which hasn't succeeded has an infinite latency
+   *
+   * @param {Object} source
+   * @return {Object}
+   * @api private
+   */
+  health (source) {
+    const since = Date.now() - this.configuration.adaptiveOrder.maxAge
+    const outcomes = (this.outcomes.get(source) || []).filter(outcome => outcome.at > since)
+    const successes = outcomes.filter(outcome => outcome.succeeded)
+    return {
+      calls: outcomes.length,
+      successRate: outcomes.length ? successes.length / outcomes.length : 1,
+      latency: successes.length ? successes.reduce((total, outcome) => total + outcome.duration, 0) / successes.length : Infinity
+    }
+  }
+
+  /**
+   * recordHealth keeps the outcome, the duration and the time of a call to a source, along with the previous ones which are still in the `windowSize`
+   *
+   * @param {Object} source
+   * @param {boolean} succeeded
+   * @param {number} duration
+   * @api private
+   */
+  recordHealth (source, succeeded, duration) {
+    const outcomes = this.outcomes.get(source) || []
+    outcomes.push({ succeeded, duration, at: Date.now() })
+    if (outcomes.length > this.configuration.adaptiveOrder.windowSize) outcomes.shift()
+    this.outcomes.set(source, outcomes)
+  }
+
+  /**
+   * callSource calls the getter of a source with the signal of the controller and the arguments of `get`, and returns its Promise
+   *   If the source has a `timeout` and doesn't settle in time, the Promise rejects with a TimeoutError and the signal is aborted
+   *   If the source has a circuit breaker, it rejects right away while the circuit is open, and the outcome of the call is recorded otherwise
+   *   With `adaptiveOrder`, the outcome and the duration of the call are recorded too
+   *
+   * @param {Object} source
+   * @param {Object} controller // see createController
+   * @param {Array} args
+   * @return {Promise}
+   * @api private
+   */
+  callSource (source, controller, args) {
+    const { circuitBreaker } = source
+    if (circuitBreaker && !circuitBreaker.allowRequest()) {
+      const error = new Error('circuit open')
+      error.skipped = true
+      return Promise.reject(error)
+    }
+
+    // a source which is aborted because it is no longer needed has no outcome
+    const startedAt = Date.now()
+    let recorded = false
+    const record = succeeded => {
+      if (recorded) return
+      recorded = true
+      if (circuitBreaker) circuitBreaker[succeeded === undefined ? 'release' : succeeded ? 'recordSuccess' : 'recordFailure']()
+      if (succeeded !== undefined && this.configuration.adaptiveOrder) this.recordHealth(source, succeeded, Date.now() - startedAt)
+    }
+    controller.onAbort(() => record(undefined))
+
+    let promise
+    try {
+      promise = assertIsPromise(source.getter({ signal: controller.signal }, ...args))
+    } catch (error) {
+      // a getter which throws fails like one which rejects, so that its outcome is still recorded
+      promise = assertIsPromise(Promise.reject(error))
+    }
+    if (source.timeout) {
+      promise = this.limitDuration(promise, source.timeout, error => {
+        record(false)
+        controller.abort(error)
+      })
+    }
+    return promise
+      .then(value => {
+        record(true)
+        return value
+      }, error => {
+        record(false)
+        throw error
+      })
+  }
+
+  /**
+   * limitDuration returns a Promise which settles like the source's Promise, or rejects with a TimeoutError if it doesn't settle within the timeout
+   *
+   * @param {Promise} promise
+   * @param {number} timeout
+   * @param {Function} onTimeout // called with the TimeoutError when the timeout comes first
+   * @return {Promise}
+   * @api private
+   */
+  limitDuration (promise, timeout, onTimeout) {
+    let timer
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new TimeoutError(`it did not settle within ${timeout} ms`, timeout)
+        onTimeout(error)
+        reject(error)
+      }, timeout)
     })
-    return secondaryPromise
+    return Promise.race([promise, timeoutPromise])
+      .then(value => {
+        clearTimeout(timer)
+        return value
+      }, error => {
+        clearTimeout(timer)
+        throw error
+      })
+  }
+
+  /**
+   * describeSource validates the options of a source, and returns its `getter`, `timeout` and the `name` it is referred to by,
+   *   e.g. "secondary source #2", or "secondary source 'movie mirror'" if it was given a name
+   *
+   * @param {Function} getter
+   * @param {Object} options
+   * @param {string} kind // 'primary source' or 'secondary source'
+   * @param {number} number // the position of a secondary source
+   * @return {Object}
+   * @api private
+   */
+  describeSource (getter, { timeout, name, circuitBreaker } = {}, kind, number) {
+    const defaultName = number ? `${kind} #${number}` : kind
+    if (timeout !== undefined && !(timeout > 0)) {
+      throw new Error(`Expected the \`timeout\` of the ${defaultName} to be a positive number of milliseconds, got ${JSON.stringify(timeout)}`)
+    }
+    if (name !== undefined && !(typeof name === 'string' && name)) {
+      throw new Error(`Expected the \`name\` of the ${defaultName} to be a non-empty string, got ${JSON.stringify(name)}`)
+    }
+    if (circuitBreaker !== undefined && !(circuitBreaker instanceof CircuitBreaker)) {
+      throw new Error(`Expected the \`circuitBreaker\` of the ${defaultName} to be a CircuitBreaker, got ${JSON.stringify(circuitBreaker)}`)
+    }
+    return { getter, timeout, circuitBreaker, name: name ? `${kind} '${name}'` : defaultName }
   }
 
   /**
@@ -135,15 +813,16 @@ export default class ReallyDeterminedPropertyGetter {
    * @param {PromiseChainErrorCatcher} errorCatcher
    * @param {Quitter} quitter
    * @param {Object} value
+   * @param {Array} args
    * @return {Promise}
    * @api private
    */
-  performSynchronizationWithPrimary (errorCatcher, quitter, value) {
+  performSynchronizationWithPrimary (errorCatcher, quitter, value, args) {
     let syncPromise = Promise.resolve(value)
     this.configuration.primarySourceSynchronizers.forEach((primarySourceSynchronizer, index) => {
       const name = 'primarySourceSynchronizer function #' + (index + 1)
       syncPromise = syncPromise
-        .then(() => assertIsPromise(primarySourceSynchronizer(value)))
+        .then(() => assertIsPromise(primarySourceSynchronizer(value, ...args)))
         .catch(errorCatcher.nameError(name))
         .catch(quitter.quitOnCondition(!this.configuration.ignoreSynchronizationErrors))
         .then(() => value)
@@ -153,15 +832,16 @@ export default class ReallyDeterminedPropertyGetter {
 
   /**
    * verifyValue throws if the value is not accepted by the `verifier`, otherwise it returns the value
-   *  if `this.configuration.verifier(value)` returns truthy, the value is considered acceptable
+   *  if `this.configuration.verifier(value, ...args)` returns truthy, the value is considered acceptable
    *  if there is no verifier function, the value is considered acceptable
    *
    * @param {any} value
+   * @param {Array} args
    * @return {any}
    * @api private
    */
-  verifyValue (value) {
-    if (this.configuration.verifier && !this.configuration.verifier(value)) {
+  verifyValue (value, args) {
+    if (this.configuration.verifier && !this.configuration.verifier(value, ...args)) {
       throw new Error(`the verifier function did not accept the value ${JSON.stringify(value)}`)
     } else {
       return value
@@ -1,45 +1,276 @@
+/* global AbortController */
 import ordinal from 'ordinal'
+import PromiseChainErrorCatcher from './promise-chain-error-catcher'
+import assertIsPromise from './assert-is-promise'
+import { ApprovalRejectedError, CancellationError, TransactionError, TimeoutError } from './errors'
+import { normalizeRetryPolicy, shouldRetry, retryDelay } from './transaction/retry-policy'
+import StepGroup from './transaction/step-group'
+import StepBranch from './transaction/step-branch'
+import NestedTransaction from './transaction/nested-transaction'
+import { simulateSteps } from './transaction/simulation'
+import Journal from './transaction/journal'
+import { errorMatcher, matchableErrors } from './transaction/error-matcher'
+
+const events = ['stepStart', 'stepSuccess', 'stepFailure', 'stepSkip', 'contextChange', 'progress', 'approvalRequested']
+
+/**
+ * snapshot returns a frozen shallow copy of a context
+ *
+ * @param {Object} context
+ * @return {Object}
+ * @api private
+ */
+function snapshot (context) {
+  return Object.freeze(Object.assign({}, context))
+}
+
+/**
+ * notAPromiseError returns the error a step fails with when its `run` function doesn't return a Promise
+ *
+ * @param {any} value
+ * @return {Error}
+ * @api private
+ */
+function notAPromiseError (value) {
+  return new Error('it didn\'t return a Promise. Instead, it returned ' + JSON.stringify(value))
+}
 
 /**
  * Transaction class
  *
- * @param {Array<Function>} steps
+ *  Each step is either a function, or a step descriptor: an object with a `run` function (or a `parallel` list of steps, see ./transaction/step-group,
+ *  or `branches` to choose from with a `branch` function, see ./transaction/step-branch) and optional `name`, `undo`, `skipIf`, `retry` and `timeout` properties:
+ *    { name: 'create account', run: context => createAccount(context), undo: context => deleteAccount(context), retry: { maxAttempts: 3 }, timeout: 5000 }
+ *  Named steps are referred to by their name (which must be unique) in error messages, otherwise by their position
+ *  A step whose `skipIf` returns truthy when called with the context is skipped, and shows up as skipped in the `report`
+ *  Progress can be followed by adding listeners for the transaction's events with `on` (see `on` for the list of events)
+ *  A snapshot of the context is kept after each completed step (see `history`), and `replayFrom` restarts the transaction from any of them
+ *  A step descriptor with an `approval` instead of a `run` function suspends the transaction until `approve` or `reject` is called (see `requestApproval`)
+ *  A step descriptor's `isDone` is called with the context before the step is run again after it failed, to find out whether it succeeded after all (see `runUnlessDone`)
+ *  A step descriptor's `simulate` function predicts the step's result when the transaction is simulated (see `simulate`)
+ *  With the `journal` option, the transaction records an audit trail of its runs, which can be exported with `exportJournal`
+ *  A step can also be another Transaction or a list of steps, or a step descriptor with such `steps`, which runs as a nested transaction (see ./transaction/nested-transaction)
+ *
+ *  Options:
+ *    - retry: a retry policy (see ./transaction/retry-policy) used for every step. A step's own `retry` overrides parts of it
+ *    - store: a checkpoint store (see ./checkpoint-stores). If present, a checkpoint is saved after each step completes
+ *    - id: the id of the transaction's checkpoints. Required if there is a store
+ *    - timeout: the number of milliseconds after which a step fails with a TimeoutError if it hasn't settled. A step's own `timeout` overrides it
+ *    - deadline: the number of milliseconds that `execute` (or `resume`) has to complete all of the steps before the current one fails with a TimeoutError
+ *    - signal: an AbortSignal which cancels the transaction when it is aborted
+ *      Either way, each step is called as `run(context, { signal })`, with a signal which is aborted when the transaction is cancelled (undefined before Node 15)
+ *    - rollbackOnCancel: if true, cancelling the transaction calls the `undo` functions of the completed steps
+ *    - idempotencyKeys: if true, each step is called with an `idempotencyKey` in its context, which stays the same when the step is run again (see `idempotencyKey`)
+ *      The branches of `parallel` steps, the steps of `branches` and nested steps get keys of their own, made of the key of the step they belong to
+ *    - journal: true, or `{ redact }` with a list of context properties to leave out of it, to record a journal of the transaction's runs (see `exportJournal`)
+ *
+ * @param {Array<Function|Object>} steps
+ * @param {Object} options
  */
 export default class Transaction {
-  constructor (steps) {
+  constructor (steps, options = {}) {
     if (!Array.isArray(steps)) {
       throw new Error(`Expected a list of functions, got ${JSON.stringify(steps)}`)
     }
     if (steps.length <= 0) {
       throw new Error('A transaction needs at least one step')
     }
-    steps.forEach((step, i) => {
-      if (typeof step !== 'function') {
-        throw new Error(`${ordinal(i + 1)} Transaction step is not a function`)
+    const durationOptions = ['timeout', 'deadline']
+    durationOptions.forEach(option => {
+      if (options[option] !== undefined && !(options[option] > 0)) {
+        throw new Error(`Expected the \`${option}\` option to be a positive number of milliseconds, got ${JSON.stringify(options[option])}`)
       }
     })
 
-    this.steps = steps
+    const retryPolicy = options.retry && normalizeRetryPolicy(options.retry)
+    if (options.store && typeof options.id !== 'string') {
+      throw new Error(`A transaction with a checkpoint store needs a string \`id\`, got ${JSON.stringify(options.id)}`)
+    }
+
+    this.definition = { steps, options }
+    this.id = options.id
+    this.store = options.store
+    this.deadline = options.deadline
+    this.cancelSignal = options.signal
+    this.controller = typeof AbortController === 'function' ? new AbortController() : undefined
+    this.signal = this.controller && this.controller.signal
+    this.rollbackOnCancel = !!options.rollbackOnCancel
+    this.idempotencyKeys = !!options.idempotencyKeys
+    this.idempotencyKeyPrefix = options.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+    this.replays = 0
+    this.journal = options.journal !== undefined && options.journal !== false ? new Journal(this.idempotencyKeyPrefix, options.journal) : undefined
+
+    const names = {}
+    this.steps = steps.map((step, i) => {
+      if (step instanceof Transaction || Array.isArray(step)) {
+        step = { steps: step }
+      }
+      const name = step && typeof step === 'object' ? step.name : undefined
+      const stepText = name && typeof name === 'string' ? `Transaction step '${name}'` : `${ordinal(i + 1)} Transaction step`
+      const isGroup = !!step && typeof step === 'object' && 'parallel' in step
+      const isBranching = !!step && typeof step === 'object' && 'branches' in step
+      const isApproval = !!step && typeof step === 'object' && 'approval' in step
+      const isNested = !!step && typeof step === 'object' && 'steps' in step
+      if (typeof step !== 'function' && !(step && (typeof step.run === 'function' || isGroup || isBranching || isApproval || isNested))) {
+        throw new Error(`${stepText} is not a function or an object with a \`run\` function (or a \`parallel\` list of steps, \`branches\`, an \`approval\` or nested \`steps\`), a Transaction or a list of steps`)
+      }
+      if (isNested && (step.run || step.undo || isGroup || isBranching || isApproval)) {
+        throw new Error(`${stepText} has nested \`steps\`, so it cannot have \`run\` and \`undo\` functions, a \`parallel\` list of steps, \`branches\` or an \`approval\``)
+      }
+      if (isApproval && (step.run || isGroup || isBranching)) {
+        throw new Error(`${stepText} has an \`approval\`, so it cannot have a \`run\` function, a \`parallel\` list of steps or \`branches\``)
+      }
+      if (isApproval && step.approval !== true && typeof step.approval !== 'function') {
+        throw new Error(`${stepText} has an \`approval\` which is not \`true\` or a function`)
+      }
+      if (isGroup && (step.run || step.undo || isBranching)) {
+        throw new Error(`${stepText} has a \`parallel\` list of steps, so its \`run\` and \`undo\` functions belong to those steps`)
+      }
+      if (isBranching && (step.run || step.undo)) {
+        throw new Error(`${stepText} has \`branches\`, so its \`run\` and \`undo\` functions belong to the steps of those branches`)
+      }
+      if (name !== undefined && !(typeof name === 'string' && name)) {
+        throw new Error(`${stepText} has a \`name\` which is not a non-empty string`)
+      }
+      if (name && names.hasOwnProperty(name)) {
+        throw new Error(`There is more than one Transaction step named '${name}'`)
+      }
+      if (step.undo && typeof step.undo !== 'function') {
+        throw new Error(`${stepText} has an \`undo\` which is not a function`)
+      }
+      if (step.timeout !== undefined && !(step.timeout > 0)) {
+        throw new Error(`${stepText} has a \`timeout\` which is not a positive number of milliseconds`)
+      }
+      if (step.skipIf && typeof step.skipIf !== 'function') {
+        throw new Error(`${stepText} has a \`skipIf\` which is not a function`)
+      }
+      if (step.isDone && typeof step.isDone !== 'function') {
+        throw new Error(`${stepText} has an \`isDone\` which is not a function`)
+      }
+      if (step.simulate && typeof step.simulate !== 'function') {
+        throw new Error(`${stepText} has a \`simulate\` which is not a function`)
+      }
+      if (name) names[name] = true
+
+      step = typeof step === 'function' ? { run: step } : Object.assign({}, step)
+      if (isGroup) {
+        const group = new StepGroup(step.parallel, stepText, this.idempotencyKeys)
+        step.group = group
+        step.run = (...stepArguments) => group.run(...stepArguments)
+        step.undo = context => group.undo(context)
+      }
+      if (isBranching) {
+        const branching = new StepBranch(step.branch, step.branches, stepText, this.idempotencyKeys)
+        step.branching = branching
+        step.run = (...stepArguments) => branching.run(...stepArguments)
+        step.undo = context => branching.undo(context)
+      }
+      if (isApproval) {
+        step.run = context => this.requestApproval(step, context)
+      }
+      if (isNested) {
+        const nested = this.nestedTransaction(step.steps, stepText)
+        step.nested = nested
+        step.run = (...stepArguments) => nested.run(...stepArguments)
+        step.undo = () => nested.undo()
+      }
+      // waiting for an approval isn't something to retry or time out, unless the step says so
+      const baseRetryPolicy = isApproval ? undefined : retryPolicy
+      step.retryPolicy = step.retry ? normalizeRetryPolicy(step.retry, baseRetryPolicy) : baseRetryPolicy
+      step.timeout = step.timeout || (isApproval ? undefined : options.timeout)
+      return step
+    })
+    this.completedSteps = []
+    this.skippedSteps = []
+    this.contextHistory = []
+    this.attempts = []
+    this.attempt = 0
     this.callbacks = {
       onSpecificErrors: []
     }
+    this.listeners = {}
+    events.forEach(event => { this.listeners[event] = [] })
+    this.promise = new Promise((resolve, reject) => {
+      this.resolvePromise = resolve
+      this.rejectPromise = reject
+    })
+    // errors are reported to the onError callback, so nobody needs to listen for the rejection
+    this.promise.catch(() => {})
+
+    if (this.cancelSignal) this.cancelOnAbort(this.cancelSignal)
+  }
+
+  /**
+   * cancelOnAbort cancels the transaction when the signal is aborted, and stops listening to it once the transaction has stopped
+   *
+   * @param {AbortSignal} signal
+   * @api private
+   */
+  cancelOnAbort (signal) {
+    const onAbort = () => {
+      // a failed rollback is reported as the `rollbackError` of the CancellationError
+      if (!this.isStopped()) this.cancel(signal.reason).catch(() => {})
+    }
+    // a signal shared by many transactions mustn't keep the finished ones alive
+    const removeListener = () => signal.removeEventListener('abort', onAbort)
+    signal.addEventListener('abort', onAbort)
+    this.promise.then(removeListener, removeListener)
   }
 
   /**
    * execute starts executing the steps in order, waiting for the returned Promises to resolve before continuing to the next step
+   *   Returns a Promise which resolves with the final context once the last step completes, rejects with a TransactionError once the transaction is abandoned,
+   *   or rejects with a CancellationError once it is cancelled. Failed steps which are resumed don't settle it
    *
    * @param {Object} context
+   * @return {Promise<Object>}
    * @api public
    */
   execute (context = {}) {
-    if (!this.callbacks.onError) {
+    if (!this.callbacks.onError && !this.parentErrorHandler) {
       throw new Error('You called `execute` before assigning an `onError` callback. This means that errors in steps will be silenced. Add an `onError` callback before calling `execute`.')
     }
-    if (this.currentStep >= 0) {
+    if (this.currentStep >= 0 || this.restoring) {
       throw new Error('Transaction is already in progress. To resume the transaction, use the `resume` method instead of `execute`')
     }
-    this.context = context
-    this.runNextStep()
+    if (this.cancelSignal && this.cancelSignal.aborted && !this.cancellation) {
+      this.cancel(this.cancelSignal.reason).catch(() => {})
+    }
+    if (this.cancellation) {
+      return this.promise
+    }
+    this.startedAt = Date.now()
+    this.record('transactionStart', { context })
+    this.startDeadline()
+    if (this.restoredFrom) {
+      this.restoreCheckpoint(context)
+    } else {
+      this.context = context
+      this.startingPoint = { stepIndex: 0, context: snapshot(context) }
+      this.runNextStep()
+    }
+    return this.promise
+  }
+
+  /**
+   * restore returns a Transaction which continues from the last checkpoint saved in the store with the given id when it is executed
+   *   If there is no checkpoint, it starts from the first step with the context passed to `execute`
+   *
+   *    const transaction = Transaction.restore('provision-account-42', steps, new FileCheckpointStore('/var/checkpoints'))
+   *    transaction.onError(handleError)
+   *    transaction.execute()
+   *
+   * @param {string} id
+   * @param {Array<Function|Object>} steps
+   * @param {Object} store
+   * @param {Object} options
+   * @return {Transaction}
+   * @api public
+   */
+  static restore (id, steps, store, options = {}) {
+    const transaction = new Transaction(steps, Object.assign({}, options, { id, store }))
+    transaction.restoredFrom = store
+    return transaction
   }
 
   /**
@@ -53,13 +284,26 @@ export default class Transaction {
   }
 
   /**
-   * then registers a callback which will be called when the last step completes successfully
+   * then makes the transaction a thenable: it behaves like `then` of the Promise returned by `execute`
    *
-   * @param {Function} callback
+   * @param {Function} onFulfilled
+   * @param {Function} onRejected
+   * @return {Promise}
    * @api public
    */
-  then (callback) {
-    this.onSuccess(callback)
+  then (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected)
+  }
+
+  /**
+   * catch behaves like `catch` of the Promise returned by `execute`
+   *
+   * @param {Function} onRejected
+   * @return {Promise}
+   * @api public
+   */
+  catch (onRejected) {
+    return this.promise.catch(onRejected)
   }
 
   /**
@@ -72,6 +316,16 @@ export default class Transaction {
     this.callbacks.onResume = callback
   }
 
+  /**
+   * onCancel registers a callback which will be called with the reason once a cancelled transaction has stopped
+   *
+   * @param {Function} callback
+   * @api public
+   */
+  onCancel (callback) {
+    this.callbacks.onCancel = callback
+  }
+
   /**
    * onError registers a callback which will be called when there is an error executing any step
    *
@@ -83,61 +337,696 @@ export default class Transaction {
   }
 
   /**
-   * onSpecificError regiesters a callback which will be called when there is an error that matches the message
+   * onSpecificError registers a callback which will be called instead of onError when there is an error that matches:
+   *   - a string, which the error's message must equal
+   *   - a RegExp, which the error's message must match
+   *   - an Error class, which the error must be an instance of
+   *   - a predicate, which is called with the error and `{ stepIndex, stepName }` of the step which failed
+   *   - an object of `message`, `code`, `status`, `instanceOf` and `step` (name or index) properties, which must all match (see ./transaction/error-matcher)
+   *  The error is matched before its message is prefixed with the step which failed. The errors of the steps of a branch step are matched with the message
+   *  they failed with, and the error of a `parallel` step matches if any of its `branchErrors` does
    *
-   * @param {string|RegExp} error
+   *    transaction.onSpecificError({ status: status => status >= 500, step: 'send invite' }, () => showMailServerWarning())
+   *
+   * @param {string|RegExp|Function|Object} error
    * @param {Function} callback
    * @api public
    */
   onSpecificError (error, callback) {
-    const pattern = error instanceof RegExp ? error : new RegExp(`^${error}$`)
-    this.callbacks.onSpecificErrors.push({ callback, pattern })
+    this.callbacks.onSpecificErrors.push({ callback, matches: errorMatcher(error) })
+  }
+
+  /**
+   * on adds a listener for one of the transaction's events. Each event can have any number of listeners, which are called with an object of details:
+   *    - stepStart: an attempt of a step is starting
+   *    - stepSuccess: a step completed. Also has its `duration` in ms and the new `context`
+   *    - stepFailure: an attempt of a step failed. Also has its `duration` in ms, the `error`, and `willRetry` which is true if the retry policy allows another attempt
+   *    - stepSkip: a step was skipped because of its `skipIf`
+   *    - contextChange: a step changed the context. Also has the `previousContext`, the new `context` and the `diff` (see `history`)
+   *    - progress: a step completed or was skipped. Also has the number of steps which are `done`
+   *    - approvalRequested: an approval step is waiting for `approve` or `reject`. Also has the `details` of the approval and when it was `requestedAt`
+   *
+   *  The details of every event have the `stepIndex`, `stepName` and `attempt` number of the step, the `total` number of steps,
+   *  and the time `elapsed` since `execute` was called in ms
+   *
+   *    transaction.on('progress', ({ done, total }) => progressBar.update(done / total))
+   *
+   * @param {string} event
+   * @param {Function} listener
+   * @api public
+   */
+  on (event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Transaction has no '${event}' event. Its events are: ${events.join(', ')}`)
+    }
+    if (typeof listener !== 'function') {
+      throw new Error(`Expected the listener of the '${event}' event to be a function, got ${JSON.stringify(listener)}`)
+    }
+    this.listeners[event].push(listener)
+  }
+
+  /**
+   * off removes a listener added with `on`
+   *
+   * @param {string} event
+   * @param {Function} listener
+   * @api public
+   */
+  off (event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Transaction has no '${event}' event. Its events are: ${events.join(', ')}`)
+    }
+    this.listeners[event] = this.listeners[event].filter(existingListener => existingListener !== listener)
   }
 
   /**
    * resume continues execution starting with the current step
+   *   If the current step has a retry policy, it gets a fresh set of attempts, and `resume` may be called synchronously in an onError callback
+   *   If an automatic retry of the step is pending, the step is run right away instead. It can't be called while the step is running
+   *   If the checkpoint of a restored transaction couldn't be restored, it tries to restore it again
    *
    * @param {string} suppressWarning // use this in tests (**only in tests**) to suppress the synchronous resolve warning. It must be set to 'Yes this is in test code' to suppress the warning
    * @api public
    */
   resume (suppressWarning) {
-    if (this.resumedBeforeNextTick && suppressWarning !== 'Yes this is in test code') {
+    if (this.resumedBeforeNextTick && !this.isAutoRetrying() && suppressWarning !== 'Yes this is in test code') {
       const warning = 'You called `resolve` synchronously in an onError callback, which could produce an infinite loop. ' +
         'You should probably get user input before resuming the transaction -- or if you intend to restart it automatically, you should implement that inside of the Transaction class as an auto-retry param. ' +
         'If you do, only show this warning if auto-retry is not set to true.'
       console.warn(warning)
       throw new Error(warning)
     }
+    if (this.abandoned) {
+      throw new Error('Transaction has been abandoned and cannot be resumed')
+    }
+    if (this.cancellation) {
+      throw new Error('Transaction has been cancelled and cannot be resumed')
+    }
+    if (this.restoring) {
+      throw new Error('Transaction cannot be resumed while its checkpoint is being restored')
+    }
+    if (!(this.currentStep >= 0) && !this.failedRestore) {
+      throw new Error('Transaction has not been started, so there is nothing to resume')
+    }
+    if (this.stepInFlight) {
+      throw new Error(`Transaction cannot be resumed while ${this.currentStepText()} is running`)
+    }
+    // resuming takes the place of a pending automatic retry
+    clearTimeout(this.retryTimeout)
     this.callbacks.onResume && this.callbacks.onResume()
+    this.record('resume')
+    if (this.failedRestore) {
+      const { context } = this.failedRestore
+      this.failedRestore = undefined
+      this.startDeadline()
+      this.restoreCheckpoint(context)
+      return
+    }
+    this.lastError = undefined
+    this.attempt = 0
+    this.startDeadline()
     this.currentStep -= 1
     this.runNextStep()
   }
 
+  /**
+   * abandon gives up on the transaction: no more steps are run, and the `undo` function of each completed step is called in reverse order
+   *   - if a step is running, the rollback starts once it settles, so that it is undone too if it completes
+   *   - each `undo` function is called with the accumulated context
+   *   - if an `undo` function fails, the remaining ones are still called
+   *   - returns a Promise which resolves when all of the `undo` functions have resolved, or rejects with a summary of the ones which failed
+   *   - afterwards, the Promise returned by `execute` rejects with a TransactionError, whose `rollbackError` is the summary if there is one
+   *
+   * @return {Promise}
+   * @api public
+   */
+  abandon () {
+    if (!(this.currentStep >= 0)) {
+      throw new Error('Transaction has not been started, so there is nothing to abandon')
+    }
+    if (this.abandoned) {
+      throw new Error('Transaction has already been abandoned')
+    }
+    if (this.cancellation) {
+      throw new Error('Transaction has been cancelled')
+    }
+    this.abandoned = true
+    clearTimeout(this.retryTimeout)
+    // a pending approval will never be decided, so the approval step is left as it is
+    const stepSettled = this.stepInFlight && !this.approvalDecision
+      ? new Promise(resolve => { this.abandonment = { resolve } })
+      : Promise.resolve()
+    this.pendingApproval = undefined
+    this.approvalDecision = undefined
+    const rollback = stepSettled.then(() => this.rollback())
+    rollback
+      .then(() => undefined, rollbackError => rollbackError)
+      .then(rollbackError => {
+        const error = this.abandonmentError(rollbackError)
+        this.record('transactionAbandoned', { error, rollbackError })
+        this.rejectPromise(error)
+      })
+    return rollback
+  }
+
+  /**
+   * cancel stops the transaction: no more steps are started, and any pending retry is dropped
+   *   - if a step is running, its `signal` is aborted, and the transaction stops once it settles (its result is kept, but no further steps are run)
+   *   - if `rollback` is true (it defaults to the `rollbackOnCancel` option), the `undo` functions of the completed steps are then called, as with `abandon`
+   *   - then the onCancel callback is called with the reason, and the Promise returned by `execute` rejects with a CancellationError
+   *   - returns a Promise which resolves once the transaction has stopped, or rejects with a summary of the `undo` functions which failed
+   *
+   * @param {any} reason
+   * @param {Object} options
+   * @param {boolean} options.rollback
+   * @return {Promise}
+   * @api public
+   */
+  cancel (reason, { rollback = this.rollbackOnCancel } = {}) {
+    if (this.completed) {
+      throw new Error('Transaction has already completed')
+    }
+    if (this.abandoned) {
+      throw new Error('Transaction has been abandoned')
+    }
+    if (this.cancellation) {
+      throw new Error('Transaction has already been cancelled')
+    }
+    clearTimeout(this.retryTimeout)
+    return new Promise((resolve, reject) => {
+      this.cancellation = { reason, rollback, resolve, reject }
+      const currentStep = this.steps[this.currentStep]
+      if (this.approvalDecision) {
+        this.decideApproval('reject', new Error('the transaction was cancelled'))
+      } else if (this.stepInFlight && currentStep && currentStep.nested) {
+        currentStep.nested.cancel(reason)
+      } else if (!this.stepInFlight) {
+        this.finishCancelling()
+      }
+      // after the nested transaction is cancelled, so that it gets the reason rather than the signal's
+      if (this.controller) this.controller.abort(reason)
+    })
+  }
+
+  /**
+   * approve completes the approval step the transaction is waiting at, and continues with the next step
+   *
+   * @param {Object} data // merged into the context, like the result of a step
+   * @api public
+   */
+  approve (data) {
+    if (!this.pendingApproval) {
+      throw new Error('Transaction is not waiting for an approval')
+    }
+    this.record('approvalGranted', { data })
+    this.decideApproval('resolve', data)
+  }
+
+  /**
+   * reject fails the approval step the transaction is waiting at with an ApprovalRejectedError, which is reported like any other error of a step
+   *   When the transaction is resumed, the approval is requested again
+   *
+   * @param {any} reason
+   * @api public
+   */
+  reject (reason) {
+    if (!this.pendingApproval) {
+      throw new Error('Transaction is not waiting for an approval')
+    }
+    const message = reason === undefined ? 'the approval was rejected' : `the approval was rejected: ${reason instanceof Error ? reason.message : reason}`
+    this.record('approvalRejected', { reason })
+    this.decideApproval('reject', new ApprovalRejectedError(message, reason))
+  }
+
+  /**
+   * report returns the status of each step: 'completed', 'skipped', 'failed', 'awaitingApproval', 'running' or 'pending'
+   *   For a branch step which has chosen a branch, it also has the key of the `branch` and the status of the `steps` of that branch
+   *   For a nested transaction, it also has the report of its `steps`
+   *
+   *    [
+   *      { index: 0, name: 'create order', status: 'completed' },
+   *      { index: 1, name: 'apply discount', status: 'skipped' },
+   *      { index: 2, name: 'ship', status: 'failed', branch: 'express', steps: [{ name: 'book courier', status: 'failed' }] }
+   *    ]
+   *
+   * @return {Array<Object>}
+   * @api public
+   */
+  report () {
+    return this.steps.map((step, i) => {
+      let status = 'pending'
+      if (this.completedSteps.indexOf(i) >= 0) {
+        status = 'completed'
+      } else if (this.skippedSteps.indexOf(i) >= 0) {
+        status = 'skipped'
+      } else if (i === this.currentStep && this.lastError) {
+        status = 'failed'
+      } else if (this.pendingApproval && i === this.pendingApproval.stepIndex) {
+        status = 'awaitingApproval'
+      } else if (i === this.currentStep && !this.isStopped()) {
+        status = 'running'
+      }
+      const entry = { index: i, name: this.stepName(i), status }
+      if (step.branching && step.branching.chosenBranch !== undefined) {
+        entry.branch = step.branching.chosenBranch
+        entry.steps = step.branching.report(status === 'failed')
+      }
+      if (step.nested) {
+        entry.steps = step.nested.child.report()
+      }
+      return entry
+    })
+  }
+
+  /**
+   * simulate walks the steps without running them, and resolves with the plan: the `steps` in the order they would run and the predicted final `context`
+   *   - a step's result is predicted by the mock with its name if there is one (a function called with the context, or the result itself),
+   *     otherwise by its `simulate` function. Steps without either are assumed to add nothing to the context, and have `simulated: false`
+   *   - `skipIf` and the `branch` functions of branch steps are called with the predicted context, so the plan shows the skipped steps and the branches taken
+   *   - the transaction itself is not affected, so it can be simulated before (or instead of) being executed
+   *
+   *    transaction.simulate({ userId: 42 }, { mocks: { 'create account': { accountId: 'simulated' } } })
+   *      .then(plan => showPlanForReview(plan))
+   *    // plan.steps: [{ index: 0, name: 'create account', status: 'planned', simulated: true },
+   *    //              { index: 1, name: 'apply discount', status: 'skipped' },
+   *    //              { index: 2, name: 'ship', status: 'planned', branch: 'express', skippedBranches: ['standard'], steps: [...] }]
+   *    // plan.context: { userId: 42, accountId: 'simulated' }
+   *
+   * @param {Object} context
+   * @param {Object} options
+   * @param {Object} options.mocks // predicted results of steps, by step name
+   * @return {Promise<Object>}
+   * @api public
+   */
+  simulate (context = {}, { mocks = {} } = {}) {
+    if (!mocks || typeof mocks !== 'object') {
+      throw new Error(`Expected the \`mocks\` to be an object of predicted results by step name, got ${JSON.stringify(mocks)}`)
+    }
+    return simulateSteps(this.steps, context, mocks)
+  }
+
+  /**
+   * history returns a snapshot of the context after each completed step, along with a diff of what the step added to or changed in the context
+   *   The snapshots are frozen copies of the context, but the values in them are not copied
+   *
+   *    [
+   *      { stepIndex: 0, stepName: 'create account', context: { userId: 42, accountId: 7 }, diff: { added: { accountId: 7 }, changed: {} } },
+   *      { stepIndex: 1, stepName: 'upgrade', context: { userId: 42, accountId: 8 }, diff: { added: {}, changed: { accountId: { from: 7, to: 8 } } } }
+   *    ]
+   *
+   * @return {Array<Object>}
+   * @api public
+   */
+  history () {
+    return this.contextHistory.slice()
+  }
+
+  /**
+   * exportJournal returns the journal of a transaction created with the `journal` option, as JSON or as JSON Lines (one entry per line)
+   *   The journal records the start and the outcome of the transaction, each attempt of a step with its timing and error (including its stack),
+   *   skipped steps, approvals, resumes, replays and restored checkpoints, with the context redacted (see ./transaction/journal)
+   *
+   *    {"transactionId":"order-42","type":"stepFailure","at":"2024-05-01T09:30:00.120Z","stepIndex":1,"stepName":"charge card","attempt":1,"elapsed":120,"duration":95,
+   *     "error":{"name":"Error","message":"card declined","stack":"Error: card declined\n    at ..."},"willRetry":false}
+   *
+   * @param {string} format // 'json' (the default) or 'jsonl'
+   * @return {string}
+   * @api public
+   */
+  exportJournal (format = 'json') {
+    if (!this.journal) {
+      throw new Error('Transaction has no journal. Use the `journal` option to record one')
+    }
+    return this.journal.export(format)
+  }
+
+  /**
+   * replayFrom restarts the transaction from an earlier step, with the snapshot of the context from before that step
+   *   - the step and the ones after it are run again, and their entries in the history are replaced
+   *   - the completed steps which are run again are not undone first
+   *   - it can't be called while a step is running, or once the transaction has completed, been abandoned or been cancelled
+   *   - a transaction restored from a checkpoint can only be replayed from the step it was restored at, or later ones
+   *
+   * @param {number} stepIndex
+   * @api public
+   */
+  replayFrom (stepIndex) {
+    if (!(this.currentStep >= 0)) {
+      throw new Error('Transaction has not been started, so there is nothing to replay')
+    }
+    if (this.isStopped()) {
+      throw new Error(`Transaction has ${this.completed ? 'completed' : this.abandoned ? 'been abandoned' : 'been cancelled'} and cannot be replayed`)
+    }
+    if (this.stepInFlight) {
+      throw new Error(`Transaction cannot be replayed while ${this.currentStepText()} is running`)
+    }
+    if (!(Number.isInteger(stepIndex) && stepIndex >= 0 && stepIndex <= this.currentStep)) {
+      throw new Error(`Expected the index of a step which has been reached (0 to ${this.currentStep}), got ${JSON.stringify(stepIndex)}`)
+    }
+    if (stepIndex < this.startingPoint.stepIndex) {
+      throw new Error(`Transaction cannot be replayed from ${this.stepText(stepIndex)}, because it was restored from a checkpoint after it`)
+    }
+    clearTimeout(this.retryTimeout)
+    const previousEntries = this.contextHistory.filter(entry => entry.stepIndex < stepIndex)
+    const previousEntry = previousEntries[previousEntries.length - 1]
+    this.context = Object.assign({}, previousEntry ? previousEntry.context : this.startingPoint.context)
+    this.contextHistory = previousEntries
+    this.completedSteps = this.completedSteps.filter(i => i < stepIndex)
+    this.skippedSteps = this.skippedSteps.filter(i => i < stepIndex)
+    this.steps.slice(stepIndex).forEach(step => {
+      step.group && step.group.reset()
+      step.branching && step.branching.reset()
+      step.nested && step.nested.reset()
+    })
+    this.lastError = undefined
+    this.failedStep = undefined
+    this.attempt = 0
+    this.replays += 1
+    this.record('replay', { stepIndex, stepName: this.stepName(stepIndex), context: this.context })
+    this.startDeadline()
+    this.currentStep = stepIndex - 1
+    this.runNextStep()
+  }
+
   /**
    * run the next step
    *
    * @api private
    */
   runNextStep () {
+    if (this.isStopped()) return
     const nextStep = this.getNextStep()
-    if (!nextStep) {
+    let skip, skipIfError
+    try {
+      skip = !!nextStep && !!nextStep.skipIf && !!nextStep.skipIf(this.context)
+    } catch (error) {
+      skipIfError = error
+    }
+    if (skip) {
+      this.skipStep()
+    } else if (!nextStep) {
       this.afterTransactionIsComplete()
     } else {
-      const promise = nextStep(this.context)
+      this.attempt += 1
+      this.attempts[this.currentStep] = (this.attempts[this.currentStep] || 0) + 1
+      this.stepStartedAt = Date.now()
+      this.emit('stepStart')
+      if (this.deadlineAt <= Date.now()) {
+        this.handleStepError(this.deadlineError())
+        return
+      }
+      if (skipIfError) {
+        skipIfError.message = `its \`skipIf\` failed because ${skipIfError.message}`
+        this.handleStepError(skipIfError)
+        return
+      }
+      // a step which failed, or which may have been running when the transaction was interrupted, may have succeeded after all
+      const mayHaveSucceeded = this.failedStep === this.currentStep || this.restoredStep === this.currentStep
+      this.failedStep = undefined
+      this.restoredStep = undefined
+      this.stepInFlight = true
+      let promise
+      try {
+        promise = mayHaveSucceeded && nextStep.isDone ? this.runUnlessDone(nextStep) : this.runStep(nextStep)
+      } catch (error) {
+        // a step which throws instead of rejecting fails like one which rejects
+        this.handleStepError(error)
+        return
+      }
       if (!promise || !promise.then) {
-        this.handleStepError(new Error('it didn\'t return a Promise. Instead, it returned ' + JSON.stringify(promise)))
+        this.handleStepError(notAPromiseError(promise))
       } else {
-        promise
+        this.limitDuration(promise, nextStep)
           .then(newContext => this.handleStepSuccess(newContext))
           .catch(error => this.handleStepError(error))
       }
     }
   }
 
+  /**
+   * skipStep records the current step as skipped and runs the next one
+   *
+   * @api private
+   */
+  skipStep () {
+    if (!this.store) {
+      this.skippedSteps.push(this.currentStep)
+      this.emitSkip()
+      this.runNextStep()
+      return
+    }
+    this.stepInFlight = true
+    this.stepStartedAt = Date.now()
+    this.saveCheckpoint(this.currentStep + 1, this.context, this.completedSteps.slice(), this.skippedSteps.concat(this.currentStep))
+      .then(() => {
+        this.stepInFlight = false
+        this.skippedSteps.push(this.currentStep)
+        this.emitSkip()
+        if (this.abandonment) {
+          this.abandonment.resolve()
+        } else {
+          this.cancellation ? this.finishCancelling() : this.runNextStep()
+        }
+      }, error => this.handleStepError(error))
+  }
+
+  /**
+   * nestedTransaction returns the NestedTransaction which runs a Transaction or a list of steps as a step of this transaction
+   *   A list of steps is validated now, so that any errors in it are reported with the step it is nested in
+   *
+   * @param {Transaction|Array<Function|Object>} steps
+   * @param {string} stepText
+   * @return {NestedTransaction}
+   * @api private
+   */
+  nestedTransaction (steps, stepText) {
+    if (!(steps instanceof Transaction || Array.isArray(steps))) {
+      throw new Error(`${stepText} has \`steps\` which are not a Transaction or a list of steps`)
+    }
+    const { definition } = steps instanceof Transaction ? steps : { definition: { steps } }
+    const createChild = () => new Transaction(definition.steps, definition.options)
+    try {
+      return new NestedTransaction(steps instanceof Transaction ? steps : createChild(), createChild, this.idempotencyKeys)
+    } catch (error) {
+      error.message = `${stepText} has invalid nested steps: ${error.message}`
+      throw error
+    }
+  }
+
+  /**
+   * requestApproval is the `run` function of approval steps: it sets `pendingApproval` and returns a Promise which settles once `approve` or `reject` is called
+   *   - `pendingApproval` has the `stepIndex` and `stepName` of the step, the `details` returned by its `approval` function, and when the approval was `requestedAt`
+   *   - if there is a checkpoint store, a checkpoint with the `pendingApproval` is saved, so the approval can be decided after restoring the transaction
+   *
+   * @param {Object} step
+   * @param {Object} context
+   * @return {Promise<Object>}
+   * @api private
+   */
+  requestApproval (step, context) {
+    const restoredApproval = this.restoredApproval && this.restoredApproval.stepIndex === this.currentStep ? this.restoredApproval : undefined
+    this.restoredApproval = undefined
+    const decision = new Promise((resolve, reject) => {
+      this.approvalDecision = { resolve, reject }
+    })
+    this.pendingApproval = {
+      stepIndex: this.currentStep,
+      stepName: this.stepName(this.currentStep),
+      details: step.approval === true ? undefined : step.approval(context),
+      requestedAt: restoredApproval ? restoredApproval.requestedAt : Date.now()
+    }
+    this.emit('approvalRequested', { details: this.pendingApproval.details, requestedAt: this.pendingApproval.requestedAt })
+    if (!this.store) return decision
+    // the step doesn't complete until the checkpoint is saved, so that it can't overwrite the checkpoint saved after the step
+    return this.saveCheckpoint(this.currentStep, this.context, this.completedSteps.slice())
+      .then(() => decision)
+  }
+
+  /**
+   * decideApproval settles the Promise of the pending approval step
+   *
+   * @param {string} decision // 'resolve' or 'reject'
+   * @param {any} value
+   * @api private
+   */
+  decideApproval (decision, value) {
+    const approvalDecision = this.approvalDecision
+    this.pendingApproval = undefined
+    this.approvalDecision = undefined
+    approvalDecision[decision](value)
+  }
+
+  /**
+   * emit calls the listeners of an event with the details of the current step plus `details`
+   *   A listener which throws doesn't affect the transaction or the other listeners: its error is rethrown asynchronously, like an uncaught error
+   *
+   * @param {string} event
+   * @param {Object} details
+   * @api private
+   */
+  emit (event, details = {}) {
+    if (!this.listeners[event].length && !this.journal) return
+    const eventDetails = this.eventDetails(details)
+    this.journal && this.journal.record(event, eventDetails)
+    this.listeners[event].slice().forEach(listener => {
+      try {
+        listener(eventDetails)
+      } catch (error) {
+        error.message = `A listener of the Transaction's '${event}' event failed: ${error.message}`
+        setTimeout(() => { throw error })
+      }
+    })
+  }
+
+  /**
+   * eventDetails returns the details of the current step plus `details`, which are passed to the listeners of events and recorded in the journal
+   *
+   * @param {Object} details
+   * @return {Object}
+   * @api private
+   */
+  eventDetails (details) {
+    return Object.assign({
+      stepIndex: this.currentStep,
+      stepName: this.currentStep >= 0 ? this.stepName(this.currentStep) : undefined,
+      attempt: this.attempt,
+      total: this.steps.length,
+      elapsed: Date.now() - this.startedAt
+    }, details)
+  }
+
+  /**
+   * record adds an entry to the journal, if the transaction has one
+   *
+   * @param {string} type
+   * @param {Object} details
+   * @api private
+   */
+  record (type, details = {}) {
+    this.journal && this.journal.record(type, this.eventDetails(details))
+  }
+
+  /**
+   * stepDuration returns the number of milliseconds since the current attempt started
+   *
+   * @return {number}
+   * @api private
+   */
+  stepDuration () {
+    return Date.now() - this.stepStartedAt
+  }
+
+  /**
+   * emitSkip emits the events of a skipped step
+   *
+   * @api private
+   */
+  emitSkip () {
+    this.emit('stepSkip')
+    this.emit('progress', { done: this.completedSteps.length + this.skippedSteps.length })
+  }
+
+  /**
+   * runStep calls the `run` function of a step with the context, and returns what it returns
+   *
+   * @param {Object} step
+   * @return {Promise|any}
+   * @api private
+   */
+  runStep (step) {
+    const context = this.idempotencyKeys ? Object.assign({}, this.context, { idempotencyKey: this.idempotencyKey() }) : this.context
+    return step.run(context, { signal: this.signal })
+  }
+
+  /**
+   * runUnlessDone calls the `isDone` function of a step before running it again
+   *   - if it resolves with an object, the step counts as completed with that object as its result
+   *   - if it resolves with another truthy value, the step counts as completed without a result
+   *   - otherwise, the step is run
+   *
+   * @param {Object} step
+   * @return {Promise}
+   * @api private
+   */
+  runUnlessDone (step) {
+    return Promise.resolve()
+      .then(() => step.isDone(this.context))
+      .catch(error => {
+        error.message = `its \`isDone\` check failed because ${error.message}`
+        throw error
+      })
+      .then(done => {
+        if (done) return typeof done === 'object' ? done : undefined
+        const promise = this.runStep(step)
+        if (!promise || !promise.then) throw notAPromiseError(promise)
+        return promise
+      })
+  }
+
+  /**
+   * idempotencyKey returns the idempotency key of the current step: the transaction's `id` (or a random one if it doesn't have one) and the index of the step
+   *   It is the same for every attempt of the step, including after `resume` and after restoring the transaction. After `replayFrom`, the replayed steps get new keys
+   *
+   * @return {string}
+   * @api private
+   */
+  idempotencyKey () {
+    const replays = this.replays ? `:replay-${this.replays}` : ''
+    return `${this.idempotencyKeyPrefix}:step-${this.currentStep}${replays}`
+  }
+
+  /**
+   * startDeadline starts the time that the transaction has to complete its steps, if it has a deadline
+   *
+   * @api private
+   */
+  startDeadline () {
+    this.deadlineAt = this.deadline ? Date.now() + this.deadline : undefined
+  }
+
+  /**
+   * limitDuration returns a Promise which settles like the step's Promise, or rejects with a TimeoutError if the step's timeout or the deadline comes first
+   *
+   * @param {Promise} promise
+   * @param {Object} step
+   * @return {Promise}
+   * @api private
+   */
+  limitDuration (promise, step) {
+    const untilDeadline = this.deadlineAt && this.deadlineAt - Date.now()
+    if (!step.timeout && !untilDeadline) return promise
+
+    const deadlineComesFirst = untilDeadline && !(step.timeout < untilDeadline)
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(deadlineComesFirst ? this.deadlineError() : new TimeoutError(`it did not settle within ${step.timeout} ms`, step.timeout))
+      }, deadlineComesFirst ? untilDeadline : step.timeout)
+    })
+    return Promise.race([promise, timeout])
+      .then(value => {
+        clearTimeout(timer)
+        return value
+      }, error => {
+        clearTimeout(timer)
+        throw error
+      })
+  }
+
+  /**
+   * deadlineError returns the error a step fails with when the transaction's deadline has passed
+   *
+   * @return {TimeoutError}
+   * @api private
+   */
+  deadlineError () {
+    return new TimeoutError(`the transaction's deadline of ${this.deadline} ms has passed`, this.deadline)
+  }
+
   /**
    * getNextStep increments the step counter and returns the next one
    *
-   * @return {Function|undefined}
+   * @return {Object|undefined}
    * @api private
    */
   getNextStep () {
@@ -146,17 +1035,194 @@ export default class Transaction {
   }
 
   /**
-   * handleStepSuccess calls runNextStep after updating context
+   * handleStepSuccess calls runNextStep after updating context and saving a checkpoint
    *
    * @param {Object|undefined} newContext
+   * @return {Promise|undefined}
    * @api private
    */
   handleStepSuccess (newContext) {
     newContext = typeof newContext === 'object' ? newContext : {}
-    this.context = Object.assign({}, this.context, newContext)
+    const context = Object.assign({}, this.context, newContext)
+    if (!this.store) {
+      this.completeStep(context)
+    } else {
+      return this.saveCheckpoint(this.currentStep + 1, context, this.completedSteps.concat(this.currentStep))
+        .then(() => this.completeStep(context))
+    }
+  }
+
+  /**
+   * completeStep records the current step as completed and runs the next one
+   *
+   * @param {Object} context
+   * @api private
+   */
+  completeStep (context) {
+    const previousContext = this.context
+    this.stepInFlight = false
+    this.context = context
+    this.completedSteps.push(this.currentStep)
+    const { diff } = this.recordHistory(previousContext, context)
+    this.emit('stepSuccess', { duration: this.stepDuration(), context })
+    if (Object.keys(diff.added).length || Object.keys(diff.changed).length) {
+      this.emit('contextChange', { previousContext, context, diff })
+    }
+    this.emit('progress', { done: this.completedSteps.length + this.skippedSteps.length })
+    if (this.cancellation) {
+      this.finishCancelling()
+      return
+    }
+    if (this.abandonment) {
+      this.abandonment.resolve()
+      return
+    }
+    this.attempt = 0
     this.runNextStep()
   }
 
+  /**
+   * recordHistory adds a snapshot of the context after the current step, and what the step added or changed, to the history
+   *
+   * @param {Object} previousContext
+   * @param {Object} context
+   * @return {Object} // the entry added to the history
+   * @api private
+   */
+  recordHistory (previousContext, context) {
+    const diff = { added: {}, changed: {} }
+    Object.keys(context).forEach(key => {
+      if (!previousContext.hasOwnProperty(key)) {
+        diff.added[key] = context[key]
+      } else if (context[key] !== previousContext[key]) {
+        diff.changed[key] = { from: previousContext[key], to: context[key] }
+      }
+    })
+    const entry = Object.freeze({
+      stepIndex: this.currentStep,
+      stepName: this.stepName(this.currentStep),
+      context: snapshot(context),
+      diff: Object.freeze(diff)
+    })
+    this.contextHistory.push(entry)
+    return entry
+  }
+
+  /**
+   * saveCheckpoint saves the state of the transaction along with the number of attempts of each step
+   *
+   * @param {number} nextStep
+   * @param {Object} context
+   * @param {Array<number>} completedSteps
+   * @param {Array<number>} skippedSteps
+   * @return {Promise}
+   * @api private
+   */
+  saveCheckpoint (nextStep, context, completedSteps, skippedSteps = this.skippedSteps.slice()) {
+    const checkpoint = {
+      id: this.id,
+      nextStep,
+      context,
+      completedSteps,
+      skippedSteps,
+      attempts: this.attempts.slice(),
+      pendingApproval: this.pendingApproval
+    }
+    return Promise.resolve()
+      .then(() => assertIsPromise(this.store.save(this.id, checkpoint)))
+      .catch(error => {
+        error.message = `could not save checkpoint because ${error.message}`
+        throw error
+      })
+  }
+
+  /**
+   * restoreCheckpoint loads the last checkpoint from the store and continues from the step after the last completed one
+   *   If it can't be loaded or applied, onError is called and `resume` tries again
+   *
+   * @param {Object} context // used if there is no checkpoint
+   * @api private
+   */
+  restoreCheckpoint (context) {
+    this.restoring = true
+    this.failedRestore = undefined
+    Promise.resolve()
+      .then(() => assertIsPromise(this.store.load(this.id)))
+      .then(checkpoint => this.applyCheckpoint(checkpoint, context))
+      .then(() => {
+        this.restoring = false
+        this.runNextStep()
+      }, error => {
+        this.restoring = false
+        // nothing has been restored, so resuming tries again rather than running any step
+        this.failedRestore = { context }
+        error.message = `Error restoring checkpoint: ${error.message}`
+        this.resumedBeforeNextTick = true
+        this.callbacks.onError(error)
+        this.resumedBeforeNextTick = false
+      })
+      .catch(error => this.handleStepError(error))
+  }
+
+  /**
+   * applyCheckpoint sets the state of the transaction to the one saved in the checkpoint
+   *
+   * @param {Object|undefined} checkpoint
+   * @param {Object} context // used if there is no checkpoint
+   * @api private
+   */
+  applyCheckpoint (checkpoint, context) {
+    if (!checkpoint) {
+      this.context = context
+      this.startingPoint = { stepIndex: 0, context: snapshot(context) }
+      return
+    }
+    if (!(checkpoint.nextStep >= 0 && checkpoint.nextStep <= this.steps.length)) {
+      throw new Error(`the checkpoint's next step (${JSON.stringify(checkpoint.nextStep)}) does not exist in a transaction with ${this.steps.length} steps`)
+    }
+    this.context = checkpoint.context
+    this.completedSteps = checkpoint.completedSteps
+    this.skippedSteps = checkpoint.skippedSteps || []
+    this.restoredApproval = checkpoint.pendingApproval
+    this.attempts = checkpoint.attempts
+    this.currentStep = checkpoint.nextStep - 1
+    this.restoredStep = checkpoint.nextStep
+    this.startingPoint = { stepIndex: checkpoint.nextStep, context: snapshot(checkpoint.context) }
+    this.record('checkpointRestored', { stepIndex: checkpoint.nextStep, stepName: this.stepName(checkpoint.nextStep), context: checkpoint.context })
+  }
+
+  /**
+   * rollback calls the `undo` function of each completed step, starting with the most recently completed one
+   *   If the current step is a parallel or branch step which didn't complete, its completed parts are undone first
+   *
+   * @return {Promise}
+   * @api private
+   */
+  rollback () {
+    const errorCatcher = new PromiseChainErrorCatcher('Transaction rollback')
+    const stepsToUndo = this.completedSteps.slice().reverse()
+    const currentStep = this.steps[this.currentStep]
+    const isPartiallyCompleted = !!currentStep && (currentStep.group ? currentStep.group.hasCompletedBranches()
+      : currentStep.branching ? currentStep.branching.hasCompletedSteps()
+        : !!currentStep.nested && currentStep.nested.hasCompletedSteps())
+    if (isPartiallyCompleted && this.completedSteps.indexOf(this.currentStep) < 0) {
+      stepsToUndo.unshift(this.currentStep)
+    }
+    let promise = Promise.resolve()
+    stepsToUndo.forEach(stepIndex => {
+      const { undo } = this.steps[stepIndex]
+      if (undo) {
+        promise = promise
+          .then(() => assertIsPromise(undo(this.context)))
+          .catch(errorCatcher.nameError(`undo of ${this.stepText(stepIndex)}`))
+          .catch(errorCatcher.catchError)
+      }
+    })
+    return promise.then(() => {
+      if (errorCatcher.results.length) throw errorCatcher.reportError()
+    })
+  }
+
   /**
    * transaction is complete, cleanup
    *
@@ -164,33 +1230,178 @@ export default class Transaction {
    */
   afterTransactionIsComplete () {
     this.callbacks.onSuccess && this.callbacks.onSuccess()
+    this.completed = true
+    this.record('transactionComplete', { context: this.context })
+    this.resolvePromise(this.context)
+  }
+
+  /**
+   * isStopped returns true if the transaction won't run any more steps
+   *
+   * @return {boolean}
+   * @api private
+   */
+  isStopped () {
+    return !!(this.completed || this.abandoned || this.cancellation)
+  }
+
+  /**
+   * finishCancelling rolls back the completed steps if requested, then reports the cancellation
+   *
+   * @api private
+   */
+  finishCancelling () {
+    const { reason, rollback, resolve, reject } = this.cancellation
+    const rollbackPromise = rollback ? this.rollback() : Promise.resolve()
+    rollbackPromise
+      .then(() => undefined, rollbackError => rollbackError)
+      .then(rollbackError => {
+        this.callbacks.onCancel && this.callbacks.onCancel(reason)
+        const error = this.cancellationError(rollbackError)
+        this.record('transactionCancelled', { reason, error, rollbackError })
+        this.rejectPromise(error)
+        rollbackError ? reject(rollbackError) : resolve()
+      })
   }
 
   /**
-   * one transaction step failed: handle the error
+   * cancellationError returns the error which the Promise returned by `execute` rejects with once the transaction is cancelled
+   *
+   * @param {Error|undefined} rollbackError
+   * @return {CancellationError}
+   * @api private
+   */
+  cancellationError (rollbackError) {
+    const { reason } = this.cancellation
+    const started = this.currentStep >= 0
+    let message = started ? `Transaction was cancelled in ${this.currentStepText()}` : 'Transaction was cancelled before it started'
+    if (reason !== undefined) {
+      message += `: ${reason instanceof Error ? reason.message : reason}`
+    }
+    const error = new CancellationError(message, {
+      reason,
+      stepIndex: started ? this.currentStep : undefined,
+      stepName: started ? this.stepName(this.currentStep) : undefined,
+      context: this.context
+    })
+    error.rollbackError = rollbackError
+    return error
+  }
+
+  /**
+   * abandonmentError returns the error which the Promise returned by `execute` rejects with once the transaction is abandoned
+   *
+   * @param {Error|undefined} rollbackError
+   * @return {TransactionError}
+   * @api private
+   */
+  abandonmentError (rollbackError) {
+    const message = this.lastError ? `Transaction was abandoned. ${this.lastError.message}` : `Transaction was abandoned in ${this.currentStepText()}`
+    const error = new TransactionError(message, {
+      stepIndex: this.currentStep,
+      stepName: this.stepName(this.currentStep),
+      context: this.context,
+      cause: this.lastError
+    })
+    error.rollbackError = rollbackError
+    return error
+  }
+
+  /**
+   * one transaction step failed: retry it if its retry policy allows, otherwise handle the error
    *
    * @param {Error} error
    * @api private
    */
   handleStepError (error) {
-    const errorCallback = this.findErrorCallback(error.message)
-    error.message = `Error in ${this.currentStepText()}: ${error.message}`
+    this.stepInFlight = false
+    this.failedStep = this.currentStep
+    this.pendingApproval = undefined
+    this.approvalDecision = undefined
+    if (this.cancellation) {
+      this.finishCancelling()
+      return
+    }
+    if (this.abandonment) {
+      this.abandonment.resolve()
+      return
+    }
+    const retryPolicy = this.isAutoRetrying() && this.steps[this.currentStep].retryPolicy
+    let willRetry = false
+    try {
+      willRetry = !!retryPolicy && shouldRetry(retryPolicy, this.attempt, error)
+    } catch (retryIfError) {
+      retryIfError.message = `its retry policy's \`retryIf\` failed because ${retryIfError.message}`
+      error = retryIfError
+    }
+    this.emit('stepFailure', { duration: this.stepDuration(), error, willRetry })
+    if (willRetry) {
+      this.retryTimeout = setTimeout(() => {
+        this.currentStep -= 1
+        this.runNextStep()
+      }, retryDelay(retryPolicy, this.attempt))
+    } else if (this.store) {
+      // the failed attempts are saved on a best-effort basis: the previous checkpoint is still valid, so the step's error is what gets reported
+      this.saveCheckpoint(this.currentStep, this.context, this.completedSteps.slice())
+        .catch(() => {})
+        .then(() => this.reportStepError(error))
+    } else {
+      this.reportStepError(error)
+    }
+  }
+
+  /**
+   * reportStepError calls the error callbacks which match the error
+   *   The error gets the `stepPath` of the step which failed, e.g. "step 'billing' > step 'charge card'" for a step of a nested transaction
+   *
+   * @param {Error} error
+   * @api private
+   */
+  reportStepError (error) {
+    // errors of a nested transaction are reported to its parent, which adds its own step to the path
+    const step = this.steps[this.currentStep]
+    const nestedStepPath = !!step && !!step.nested && error.stepPath
+    error.stepPath = nestedStepPath ? `${this.currentStepText()} > ${nestedStepPath}` : this.currentStepText()
+    if (this.parentErrorHandler) {
+      this.lastError = error
+      this.parentErrorHandler(error)
+      return
+    }
+    const errorCallback = this.findErrorCallback(error)
+    error.message = `Error in ${error.stepPath}: ${error.message}`
+    error.stepIndex = this.currentStep
+    error.stepName = this.stepName(this.currentStep)
+    this.lastError = error
     this.resumedBeforeNextTick = true
     errorCallback(error)
     this.resumedBeforeNextTick = false
   }
 
   /**
-   * findErrorCallback returns a specific error callback if present, otherwise the onError callback
+   * isAutoRetrying returns true if the current step has a retry policy
    *
-   * @param {string} errorMessage
+   * @return {boolean}
+   * @api private
+   */
+  isAutoRetrying () {
+    const step = this.steps[this.currentStep]
+    return !!(step && step.retryPolicy)
+  }
+
+  /**
+   * findErrorCallback returns the specific error callbacks which match the error of the current step (or any error of its branches) if there are any,
+   *   otherwise the onError callback
+   *
+   * @param {Error} error
    * @return {Function}
    * @api private
    */
-  findErrorCallback (errorMessage) {
+  findErrorCallback (error) {
+    const step = { stepIndex: this.currentStep, stepName: this.stepName(this.currentStep) }
+    const errors = matchableErrors(error)
     const errorCallbacks = []
-    this.callbacks.onSpecificErrors.forEach(({ callback, pattern }) => {
-      if (errorMessage.match(pattern)) {
+    this.callbacks.onSpecificErrors.forEach(({ callback, matches }) => {
+      if (errors.some(error => matches(error, step))) {
         errorCallbacks.push(callback)
       }
     })
@@ -207,6 +1418,30 @@ export default class Transaction {
    * @api private
    */
   currentStepText () {
-    return this.currentStep >= this.steps.length ? 'onSuccess callback' : ordinal(this.currentStep + 1) + ' step'
+    return this.stepText(this.currentStep)
+  }
+
+  /**
+   * stepText returns a text representation of a step to use in messages, e.g. "step 'create account'" or "3rd step"
+   *
+   * @param {number} stepIndex
+   * @return {string}
+   * @api private
+   */
+  stepText (stepIndex) {
+    const step = this.steps[stepIndex]
+    return step && step.name ? `step '${step.name}'` : this.stepName(stepIndex)
+  }
+
+  /**
+   * stepName returns the name of a step, or a description of its position if it doesn't have one
+   *
+   * @param {number} stepIndex
+   * @return {string}
+   * @api private
+   */
+  stepName (stepIndex) {
+    if (stepIndex >= this.steps.length) return 'onSuccess callback'
+    return this.steps[stepIndex].name || ordinal(stepIndex + 1) + ' step'
   }
 }
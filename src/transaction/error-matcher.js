@@ -0,0 +1,143 @@
+const matchableProperties = ['message', 'code', 'status', 'instanceOf', 'step']
+
+/**
+ * errorMatcher returns a function which tells whether an error of a step matches what was passed to `Transaction.onSpecificError`:
+ *
+ *    'not found'                             // the error's message is exactly this string
+ *    /5\d\d/                                 // the error's message matches this RegExp
+ *    TimeoutError                            // the error is an instance of this class (a subclass of Error)
+ *    (error, { stepIndex, stepName }) => ... // this predicate returns truthy for the error and the step which failed
+ *    { status: 404, step: 'send invite' }    // every property matches, see `matchesProperties`
+ *
+ * @param {string|RegExp|Function|Object} matcher
+ * @return {Function} // called with the error and `{ stepIndex, stepName }`, returns a boolean
+ * @api private
+ */
+export function errorMatcher (matcher) {
+  if (typeof matcher === 'string') {
+    const pattern = new RegExp(`^${escapeRegExp(matcher)}$`)
+    return error => pattern.test(messageOf(error))
+  }
+  if (matcher instanceof RegExp) {
+    return error => !!messageOf(error).match(matcher)
+  }
+  if (isErrorClass(matcher)) {
+    return error => error instanceof matcher
+  }
+  if (typeof matcher === 'function') {
+    return (error, step) => !!matcher(error, step)
+  }
+  if (matcher && typeof matcher === 'object') {
+    const unknownProperties = Object.keys(matcher).filter(property => matchableProperties.indexOf(property) < 0)
+    if (unknownProperties.length) {
+      throw new Error(`Expected the properties of an error matcher to be some of ${matchableProperties.join(', ')}, got ${unknownProperties.join(', ')}`)
+    }
+    return (error, step) => matchesProperties(matcher, error, step)
+  }
+  throw new Error(`Expected a string, RegExp, Error class, function or object to match errors with, got ${JSON.stringify(matcher)}`)
+}
+
+/**
+ * rememberMatchableError keeps a view of an error of a branch or step of a `parallel` or branch step with the message it failed with,
+ *   since its message is rewritten to say where it came from before the transaction matches it. Returns the error
+ *
+ * @param {any} error
+ * @return {any}
+ * @api private
+ */
+export function rememberMatchableError (error) {
+  if (error && typeof error === 'object' && !error.matchableError) {
+    // the view inherits everything else from the error, e.g. its class, `status` and `code`
+    Object.defineProperty(error, 'matchableError', { value: Object.create(error, { message: { value: error.message } }) })
+  }
+  return error
+}
+
+/**
+ * matchableErrors returns the errors which the matchers are tried on for the error of a step: the error as the step failed with it,
+ *   followed by those of the branches of a `parallel` step
+ *
+ * @param {any} error
+ * @return {Array}
+ * @api private
+ */
+export function matchableErrors (error) {
+  const errors = [error].concat((error && error.branchErrors) || [])
+  return errors.map(error => (error && error.matchableError) || error)
+}
+
+/**
+ * matchesProperties returns true if every property of the matcher matches the error or the step which failed
+ *   - message: a string which the message equals, or a RegExp which it matches
+ *   - code, status: a value which `error.code`/`error.status` equals, a RegExp which it matches, or a predicate
+ *   - instanceOf: a class which the error is an instance of
+ *   - step: the name or index of the step which failed
+ *
+ * @param {Object} matcher
+ * @param {Error} error
+ * @param {Object} step
+ * @return {boolean}
+ * @api private
+ */
+function matchesProperties (matcher, error, step) {
+  return Object.keys(matcher).every(property => {
+    const expected = matcher[property]
+    switch (property) {
+      case 'message':
+        return errorMatcher(expected)(error, step)
+      case 'instanceOf':
+        return error instanceof expected
+      case 'step':
+        return typeof expected === 'number' ? step.stepIndex === expected : step.stepName === expected
+      default:
+        return matchesValue(expected, error && error[property])
+    }
+  })
+}
+
+/**
+ * matchesValue returns true if the value equals `expected`, or matches it if it's a RegExp or a predicate
+ *
+ * @param {any} expected
+ * @param {any} value
+ * @return {boolean}
+ * @api private
+ */
+function matchesValue (expected, value) {
+  if (expected instanceof RegExp) return value !== undefined && !!String(value).match(expected)
+  if (typeof expected === 'function') return !!expected(value)
+  return value === expected
+}
+
+/**
+ * isErrorClass returns true if the value is Error or a subclass of it
+ *
+ * @param {any} value
+ * @return {boolean}
+ * @api private
+ */
+function isErrorClass (value) {
+  return value === Error || (typeof value === 'function' && value.prototype instanceof Error)
+}
+
+/**
+ * messageOf returns the message of an error, or an empty string if it doesn't have one
+ *
+ * @param {any} error
+ * @return {string}
+ * @api private
+ */
+function messageOf (error) {
+  return error && error.message !== undefined ? String(error.message) : ''
+}
+
+/**
+ * escapeRegExp escapes the characters which have a special meaning in a RegExp, so that the string matches itself
+ *
+ * @param {string} string
+ * @return {string}
+ * @api private
+ */
+function escapeRegExp (string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
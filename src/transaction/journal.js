@@ -0,0 +1,118 @@
+const journaledEvents = ['transactionStart', 'checkpointRestored', 'stepStart', 'stepSuccess', 'stepFailure', 'stepSkip', 'approvalRequested', 'approvalGranted', 'approvalRejected', 'resume', 'replay',
+  'transactionComplete', 'transactionAbandoned', 'transactionCancelled']
+const redactedDetails = ['context', 'details', 'data']
+const redactedValue = '[REDACTED]'
+const circularValue = '[Circular]'
+
+/**
+ * Journal records what happens during the runs of a Transaction, so that it can be kept as an audit trail once the transaction has finished
+ *   - each entry has the `transactionId`, its `type`, the time it happened `at` (an ISO 8601 string), and the `stepIndex`, `stepName` and `attempt` of the step
+ *   - step entries also have their details: the `duration` of an attempt, the `error` (with its stack) and `willRetry` of a failure, the `context` after a step completed
+ *   - contexts, approval details and the data an approval was granted with are redacted: the value of each property listed in `redact` is replaced, however deeply nested it is,
+ *     including in instances of classes. References back to an object being copied are recorded as '[Circular]'.
+ *     `redact` can also be a function which is called with a copy of the context and returns the context to record
+ *   - it can be exported as JSON, or as JSON Lines with one entry per line
+ *
+ * @param {string} transactionId
+ * @param {true|Object} options // the `journal` option of the Transaction
+ * @param {Array<string>|Function} options.redact
+ * @api private
+ */
+export default class Journal {
+  constructor (transactionId, options) {
+    const redact = options === true || !options ? [] : options.redact || []
+    if (options !== true && !(options && typeof options === 'object' && (Array.isArray(redact) || typeof redact === 'function'))) {
+      throw new Error(`Expected the \`journal\` option to be true or an object with a \`redact\` list of context properties or function, got ${JSON.stringify(options)}`)
+    }
+    this.transactionId = transactionId
+    this.redactContext = typeof redact === 'function' ? context => redact(copy(context, [])) : context => copy(context, redact)
+    this.entries = []
+  }
+
+  /**
+   * record adds an entry for an event of the transaction, if it is one that is journaled
+   *
+   * @param {string} type
+   * @param {Object} details
+   * @api private
+   */
+  record (type, details) {
+    if (journaledEvents.indexOf(type) < 0) return
+    const entry = { transactionId: this.transactionId, type, at: new Date().toISOString() }
+    Object.keys(details).forEach(key => {
+      const value = details[key]
+      if (key === 'total' || value === undefined) return
+      if (value instanceof Error) {
+        entry[key] = serializeError(value)
+      } else if (redactedDetails.indexOf(key) >= 0) {
+        entry[key] = this.redactContext(value)
+      } else {
+        entry[key] = value
+      }
+    })
+    this.entries.push(entry)
+  }
+
+  /**
+   * toJSON returns the journal as a plain object with the `transactionId` and the `entries`
+   *
+   * @return {Object}
+   * @api private
+   */
+  toJSON () {
+    return { transactionId: this.transactionId, entries: this.entries.slice() }
+  }
+
+  /**
+   * export returns the journal as a JSON string, or as JSON Lines with one entry per line
+   *
+   * @param {string} format // 'json' or 'jsonl'
+   * @return {string}
+   * @api private
+   */
+  export (format) {
+    if (format === 'json') return JSON.stringify(this.toJSON())
+    if (format === 'jsonl') return this.entries.map(entry => JSON.stringify(entry)).join('\n')
+    throw new Error(`Expected the format of the journal to be 'json' or 'jsonl', got ${JSON.stringify(format)}`)
+  }
+}
+
+/**
+ * copy returns a deep copy of the objects and arrays in a value, with the properties listed in `redact` replaced
+ *   - instances of classes are copied as plain objects of their enumerable own properties, so that those are redacted too
+ *   - errors are serialized, dates are kept as they are, and references back to an object being copied become '[Circular]'
+ *
+ * @param {any} value
+ * @param {Array<string>} redact
+ * @param {Array<Object>} ancestors // the objects which contain the value
+ * @return {any}
+ * @api private
+ */
+function copy (value, redact, ancestors = []) {
+  if (!value || typeof value !== 'object' || value instanceof Date) return value
+  if (ancestors.indexOf(value) >= 0) return circularValue
+  if (value instanceof Error) return serializeError(value)
+  const path = ancestors.concat([value])
+  if (Array.isArray(value)) return value.map(item => copy(item, redact, path))
+  const result = {}
+  Object.keys(value).forEach(key => {
+    result[key] = redact.indexOf(key) >= 0 ? redactedValue : copy(value[key], redact, path)
+  })
+  return result
+}
+
+/**
+ * serializeError returns the properties of an error which are worth recording, since JSON.stringify drops them
+ *
+ * @param {Error} error
+ * @return {Object}
+ * @api private
+ */
+function serializeError (error) {
+  const serialized = { name: error.name, message: error.message, stack: error.stack }
+  const properties = ['code', 'status', 'stepPath']
+  properties.forEach(property => {
+    if (error[property] !== undefined) serialized[property] = error[property]
+  })
+  return serialized
+}
@@ -0,0 +1,119 @@
+/**
+ * NestedTransaction runs a child Transaction as one step of a parent Transaction
+ *   - the child is executed with the parent's context, and the step resolves with the child's final context
+ *   - the child is cancelled when the step's `signal` is aborted, so its steps' signals are aborted along with the parent's
+ *   - errors of the child's steps are passed to the parent instead of the child's callbacks, with the child's step in their `stepPath`
+ *   - running the step again (e.g. when the parent is resumed) resumes the child at its failed step, rather than starting it again
+ *   - undoing the step undoes the child's completed steps
+ *   - with idempotency keys, the child's steps get keys made of the step's key instead of the child's `id`
+ *
+ * @param {Transaction} child
+ * @param {Function} createChild // returns a new child, used when the step has to be run again from scratch
+ * @param {boolean} idempotencyKeys // true if the context has an `idempotencyKey` from which the child's keys are made
+ * @api private
+ */
+export default class NestedTransaction {
+  constructor (child, createChild, idempotencyKeys) {
+    this.createChild = createChild
+    this.idempotencyKeys = idempotencyKeys
+    this.useChild(child)
+  }
+
+  /**
+   * useChild makes the child report its errors and its outcome to the run in progress
+   *
+   * @param {Transaction} child
+   * @api private
+   */
+  useChild (child) {
+    this.child = child
+    this.started = false
+    child.parentErrorHandler = error => this.settleRun('reject', error)
+    child.promise.then(context => this.settleRun('resolve', context), error => this.settleRun('reject', error))
+  }
+
+  /**
+   * run executes the child with the context the first time, and resumes it after that
+   *
+   * @param {Object} context
+   * @param {Object} options
+   * @param {AbortSignal} options.signal // the signal the parent passes to its steps
+   * @return {Promise<Object>}
+   * @api private
+   */
+  run (context, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      this.pendingRun = { resolve, reject }
+      if (this.child.completed) {
+        this.settleRun('resolve', this.child.context)
+      } else if (!this.started) {
+        this.started = true
+        if (signal) this.child.cancelOnAbort(signal)
+        if (this.idempotencyKeys) {
+          // the key belongs to this step, not to the child's context which ends up in the parent's
+          context = Object.assign({}, context)
+          this.child.idempotencyKeys = true
+          this.child.idempotencyKeyPrefix = context.idempotencyKey
+          delete context.idempotencyKey
+        }
+        this.child.execute(context)
+      } else {
+        this.child.resume()
+      }
+    })
+  }
+
+  /**
+   * settleRun settles the Promise of the run in progress, if there is one
+   *
+   * @param {string} outcome // 'resolve' or 'reject'
+   * @param {any} value
+   * @api private
+   */
+  settleRun (outcome, value) {
+    const pendingRun = this.pendingRun
+    this.pendingRun = undefined
+    pendingRun && pendingRun[outcome](value)
+  }
+
+  /**
+   * undo calls the `undo` functions of the child's completed steps: it abandons the child, or rolls it back if it has already stopped
+   *
+   * @return {Promise}
+   * @api private
+   */
+  undo () {
+    if (!(this.child.currentStep >= 0)) return Promise.resolve()
+    return this.child.isStopped() ? this.child.rollback() : this.child.abandon()
+  }
+
+  /**
+   * cancel cancels the child if it is still running
+   *
+   * @param {any} reason
+   * @api private
+   */
+  cancel (reason) {
+    // the parent reports the outcome of the cancellation
+    if (!this.child.isStopped()) this.child.cancel(reason).catch(() => {})
+  }
+
+  /**
+   * hasCompletedSteps returns true if any step of the child has completed
+   *
+   * @return {boolean}
+   * @api private
+   */
+  hasCompletedSteps () {
+    return this.child.completedSteps.length > 0
+  }
+
+  /**
+   * reset replaces the child with a new one, so that running the step again starts from the child's first step
+   *
+   * @api private
+   */
+  reset () {
+    this.useChild(this.createChild())
+  }
+}
@@ -0,0 +1,77 @@
+const defaultRetryPolicy = {
+  maxAttempts: 1,
+  backoff: 'fixed',
+  delay: 0,
+  maxDelay: Infinity,
+  jitter: 0,
+  retryIf: () => true
+}
+
+/**
+ * normalizeRetryPolicy fills in the defaults of a retry policy and throws if any of its values are invalid
+ *
+ *    {
+ *      maxAttempts: 3,              // the number of times a step is attempted before giving up (including the first attempt)
+ *      backoff: 'exponential',      // 'fixed' waits `delay` ms between attempts, 'exponential' doubles the wait after each attempt
+ *      delay: 100,                  // ms to wait before the first retry
+ *      maxDelay: 5000,              // upper limit of the wait, useful with exponential backoff
+ *      jitter: 0.5,                 // fraction of the wait which is randomized (`true` is the same as 1)
+ *      retryIf: error => !error.fatal // only errors for which this returns truthy are retried
+ *    }
+ *
+ * @param {Object} policy
+ * @param {Object} basePolicy // a normalized policy whose values are used for anything missing from `policy`
+ * @return {Object}
+ * @api private
+ */
+export function normalizeRetryPolicy (policy, basePolicy = defaultRetryPolicy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error(`Expected the retry policy to be an object, got ${JSON.stringify(policy)}`)
+  }
+  const normalized = Object.assign({}, basePolicy, policy)
+  normalized.jitter = normalized.jitter === true ? 1 : normalized.jitter || 0
+
+  if (!(Number.isInteger(normalized.maxAttempts) && normalized.maxAttempts >= 1)) {
+    throw new Error(`Expected the retry policy's \`maxAttempts\` to be a positive integer, got ${JSON.stringify(normalized.maxAttempts)}`)
+  }
+  if (normalized.backoff !== 'fixed' && normalized.backoff !== 'exponential') {
+    throw new Error(`Expected the retry policy's \`backoff\` to be 'fixed' or 'exponential', got ${JSON.stringify(normalized.backoff)}`)
+  }
+  if (!(normalized.delay >= 0) || !(normalized.maxDelay >= 0)) {
+    throw new Error('Expected the retry policy\'s `delay` and `maxDelay` to be numbers of milliseconds')
+  }
+  if (!(normalized.jitter >= 0 && normalized.jitter <= 1)) {
+    throw new Error(`Expected the retry policy's \`jitter\` to be a boolean or a number between 0 and 1, got ${JSON.stringify(normalized.jitter)}`)
+  }
+  if (typeof normalized.retryIf !== 'function') {
+    throw new Error('Expected the retry policy\'s `retryIf` to be a function')
+  }
+  return normalized
+}
+
+/**
+ * shouldRetry returns true if the policy allows another attempt after `attempt` attempts failed, the last one with `error`
+ *
+ * @param {Object} policy
+ * @param {number} attempt
+ * @param {Error} error
+ * @return {boolean}
+ * @api private
+ */
+export function shouldRetry (policy, attempt, error) {
+  return attempt < policy.maxAttempts && !!policy.retryIf(error)
+}
+
+/**
+ * retryDelay returns the number of milliseconds to wait before the attempt following `attempt`
+ *
+ * @param {Object} policy
+ * @param {number} attempt
+ * @return {number}
+ * @api private
+ */
+export function retryDelay (policy, attempt) {
+  const delay = policy.backoff === 'exponential' ? policy.delay * Math.pow(2, attempt - 1) : policy.delay
+  const cappedDelay = Math.min(delay, policy.maxDelay)
+  return cappedDelay - cappedDelay * policy.jitter * Math.random()
+}
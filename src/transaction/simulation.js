@@ -0,0 +1,159 @@
+import ordinal from 'ordinal'
+
+/**
+ * simulateSteps walks the steps of a Transaction without running them, predicting the result of each step with its `simulate` function or a mock
+ *   - a step's result is predicted by the mock with its name if there is one (a function called with the context, or the result itself),
+ *     otherwise by its `simulate` function, which is called with the context. Steps without either are assumed to add nothing to the context
+ *   - `skipIf` and the `branch` function of branch steps are called with the predicted context, so the plan shows which steps would be skipped and which branches would be taken
+ *   - the branches of parallel steps are simulated one at a time, in an order which respects their `dependsOn`
+ *   - nested transactions are simulated with the same mocks
+ *
+ * @param {Array<Object>} steps // the normalized steps of a Transaction
+ * @param {Object} context
+ * @param {Object} mocks
+ * @return {Promise<Object>} // resolves with the `steps` of the plan and the predicted final `context`
+ * @api private
+ */
+export function simulateSteps (steps, context, mocks) {
+  const plan = []
+  return steps.reduce((promise, step, i) => promise.then(context => {
+    const entry = { index: i, name: step.name || `${ordinal(i + 1)} step` }
+    plan.push(entry)
+    return simulateStep(step, context, mocks, entry, step.name ? `step '${step.name}'` : entry.name)
+  }), Promise.resolve(context))
+    .then(context => ({ steps: plan, context }))
+}
+
+/**
+ * simulateStep predicts the context after a step, and fills in its entry of the plan
+ *
+ * @param {Object} step
+ * @param {Object} context
+ * @param {Object} mocks
+ * @param {Object} entry
+ * @param {string} stepText // how the step is referred to in error messages
+ * @return {Promise<Object>}
+ * @api private
+ */
+function simulateStep (step, context, mocks, entry, stepText) {
+  return Promise.resolve()
+    .then(() => {
+      if (step.skipIf && step.skipIf(context)) {
+        entry.status = 'skipped'
+        return context
+      }
+      entry.status = 'planned'
+      if (mocks.hasOwnProperty(entry.name) || step.simulate) {
+        return predictResult(step, context, mocks, entry)
+      }
+      if (step.group) return simulateGroup(step.group, context, mocks, entry)
+      if (step.branching) return simulateBranching(step.branching, context, mocks, entry)
+      if (step.nested) {
+        return simulateSteps(step.nested.child.steps, context, mocks)
+          .then(plan => {
+            entry.steps = plan.steps
+            return plan.context
+          })
+      }
+      if (step.approval) {
+        entry.approval = step.approval === true ? undefined : step.approval(context)
+      }
+      entry.simulated = false
+      return context
+    })
+    .catch(error => {
+      if (!error.simulationFailed) {
+        error.message = `Simulation of ${stepText} failed because ${error.message}`
+        error.simulationFailed = true
+      }
+      throw error
+    })
+}
+
+/**
+ * predictResult calls the mock or the `simulate` function of a step, and merges the result into the context
+ *
+ * @param {Object} step
+ * @param {Object} context
+ * @param {Object} mocks
+ * @param {Object} entry
+ * @return {Promise<Object>}
+ * @api private
+ */
+function predictResult (step, context, mocks, entry) {
+  const mock = mocks.hasOwnProperty(entry.name) ? mocks[entry.name] : step.simulate
+  entry.simulated = true
+  return Promise.resolve(typeof mock === 'function' ? mock(context) : mock)
+    .then(result => Object.assign({}, context, typeof result === 'object' ? result : {}))
+}
+
+/**
+ * simulateGroup simulates the branches of a parallel step, merging their results in the order they were declared like the step does
+ *
+ * @param {StepGroup} group
+ * @param {Object} context
+ * @param {Object} mocks
+ * @param {Object} entry
+ * @return {Promise<Object>}
+ * @api private
+ */
+function simulateGroup (group, context, mocks, entry) {
+  const results = {}
+  const order = []
+  while (order.length < group.branches.length) {
+    const next = group.branches.findIndex((branch, i) => order.indexOf(i) < 0 && branch.dependencies.every(dependency => order.indexOf(dependency) >= 0))
+    order.push(next)
+  }
+  entry.steps = []
+  return order.reduce((promise, i) => promise.then(() => {
+    const branch = group.branches[i]
+    const branchEntry = { index: i, name: branch.name || branch.text }
+    entry.steps.push(branchEntry)
+    const branchContext = Object.assign({}, context, ...group.allDependencies(branch).sort((a, b) => a - b).map(dependency => results[dependency]))
+    return simulateStep(branch, branchContext, mocks, branchEntry, branch.text)
+      .then(predictedContext => {
+        results[i] = resultOf(branchContext, predictedContext)
+      })
+  }), Promise.resolve())
+    .then(() => Object.assign({}, context, ...group.branches.map((branch, i) => results[i])))
+}
+
+/**
+ * simulateBranching chooses a branch of a branch step with the context, and simulates its steps
+ *
+ * @param {StepBranch} branching
+ * @param {Object} context
+ * @param {Object} mocks
+ * @param {Object} entry
+ * @return {Promise<Object>}
+ * @api private
+ */
+function simulateBranching (branching, context, mocks, entry) {
+  const key = branching.selectBranch(context)
+  if (!branching.branches.hasOwnProperty(key)) {
+    throw new Error(`its \`branch\` function chose ${JSON.stringify(key)}, but there is no branch with that key`)
+  }
+  entry.branch = key
+  entry.skippedBranches = Object.keys(branching.branches).filter(otherKey => otherKey !== key)
+  return simulateSteps(branching.branches[key], context, mocks)
+    .then(plan => {
+      entry.steps = plan.steps
+      return plan.context
+    })
+}
+
+/**
+ * resultOf returns what a simulated step added to or changed in the context
+ *
+ * @param {Object} context
+ * @param {Object} predictedContext
+ * @return {Object}
+ * @api private
+ */
+function resultOf (context, predictedContext) {
+  const result = {}
+  Object.keys(predictedContext).forEach(key => {
+    if (predictedContext[key] !== context[key]) result[key] = predictedContext[key]
+  })
+  return result
+}
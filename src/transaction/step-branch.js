@@ -0,0 +1,193 @@
+import ordinal from 'ordinal'
+import PromiseChainErrorCatcher from '../promise-chain-error-catcher'
+import assertIsPromise from '../assert-is-promise'
+import { rememberMatchableError } from './error-matcher'
+
+/**
+ * StepBranch runs one of the `branches` of a branch Transaction step: a list of steps chosen by calling its `branch` function with the context
+ *   - each step of a branch is a function or an object with a `run` function and optional `name`, `undo` and `skipIf` properties
+ *   - the steps of the chosen branch are run in order, each with the context merged with the results of the previous ones
+ *   - the chosen branch and its completed steps are remembered, so running it again (e.g. when the transaction is resumed) continues with the step which failed
+ *   - with idempotency keys, each step's key is the branch step's key followed by the key of the branch and the index of the step
+ *
+ * @param {Function} selectBranch // called with the context, returns the key of the branch to run
+ * @param {Object<string, Array<Function|Object>>} branches
+ * @param {string} stepText // how the branch step is referred to in error messages
+ * @param {boolean} idempotencyKeys // true if the context has an `idempotencyKey` from which the steps' keys are made
+ * @api private
+ */
+export default class StepBranch {
+  constructor (selectBranch, branches, stepText, idempotencyKeys) {
+    if (typeof selectBranch !== 'function') {
+      throw new Error(`${stepText} has \`branches\`, but no \`branch\` function to choose between them`)
+    }
+    if (!branches || typeof branches !== 'object' || Object.keys(branches).length <= 0) {
+      throw new Error(`${stepText} needs an object of \`branches\`, each of which is a non-empty list of steps`)
+    }
+    this.selectBranch = selectBranch
+    this.idempotencyKeys = idempotencyKeys
+    this.branches = {}
+    Object.keys(branches).forEach(key => {
+      if (!Array.isArray(branches[key]) || branches[key].length <= 0) {
+        throw new Error(`${stepText} has a branch '${key}' which is not a non-empty list of steps`)
+      }
+      const names = {}
+      this.branches[key] = branches[key].map((step, i) => {
+        step = typeof step === 'function' ? { run: step } : Object.assign({}, step)
+        step.text = step.name ? `step '${step.name}'` : `${ordinal(i + 1)} step`
+        if (typeof step.run !== 'function') {
+          throw new Error(`${stepText} has a ${step.text} in branch '${key}' which is not a function or an object with a \`run\` function`)
+        }
+        if (step.undo && typeof step.undo !== 'function') {
+          throw new Error(`${stepText} has a ${step.text} in branch '${key}' with an \`undo\` which is not a function`)
+        }
+        if (step.skipIf && typeof step.skipIf !== 'function') {
+          throw new Error(`${stepText} has a ${step.text} in branch '${key}' with a \`skipIf\` which is not a function`)
+        }
+        if (step.name && names.hasOwnProperty(step.name)) {
+          throw new Error(`${stepText} has more than one step named '${step.name}' in branch '${key}'`)
+        }
+        if (step.name) names[step.name] = true
+        return step
+      })
+    })
+
+    this.reset()
+  }
+
+  /**
+   * reset forgets the chosen branch and its completed steps, so that running it again chooses a branch again
+   *
+   * @api private
+   */
+  reset () {
+    this.chosenBranch = undefined
+    this.nextStep = 0
+    this.completedSteps = []
+    this.skippedSteps = []
+    this.results = {}
+  }
+
+  /**
+   * run chooses a branch (unless one was chosen by a previous run) and runs its steps, starting with the first one which hasn't completed
+   *   Resolves with the results of the steps merged, or rejects with the error of the step which failed, whose message says which step it was
+   *
+   * @param {Object} context
+   * @param {...any} stepArguments // any other arguments the Transaction passes to its steps
+   * @return {Promise<Object>}
+   * @api private
+   */
+  run (context, ...stepArguments) {
+    return Promise.resolve()
+      .then(() => {
+        if (this.chosenBranch === undefined) {
+          const key = this.selectBranch(context)
+          if (!this.branches.hasOwnProperty(key)) {
+            throw new Error(`its \`branch\` function chose ${JSON.stringify(key)}, but there is no branch with that key`)
+          }
+          this.chosenBranch = key
+        }
+        return this.runNextStep(context, stepArguments)
+      })
+  }
+
+  /**
+   * runNextStep runs the steps of the chosen branch from `nextStep` onwards
+   *
+   * @param {Object} context
+   * @param {Array} stepArguments
+   * @return {Promise<Object>}
+   * @api private
+   */
+  runNextStep (context, stepArguments) {
+    const steps = this.branches[this.chosenBranch]
+    const step = steps[this.nextStep]
+    if (!step) return Promise.resolve(this.results)
+
+    const stepContext = Object.assign({}, context, this.results)
+    if (this.idempotencyKeys) {
+      stepContext.idempotencyKey = `${context.idempotencyKey}:${this.chosenBranch}:step-${this.nextStep}`
+    }
+    return Promise.resolve()
+      .then(() => {
+        if (step.skipIf && step.skipIf(stepContext)) {
+          this.skippedSteps.push(this.nextStep)
+          return
+        }
+        const promise = step.run(stepContext, ...stepArguments)
+        return assertIsPromise(promise && promise.then ? promise.catch(error => { throw rememberMatchableError(error) }) : promise)
+          .then(result => {
+            Object.assign(this.results, typeof result === 'object' ? result : {})
+            this.completedSteps.push(this.nextStep)
+          })
+      })
+      .then(() => {
+        this.nextStep += 1
+        return this.runNextStep(context, stepArguments)
+      }, error => {
+        // error matchers see the error with the message the step failed with
+        rememberMatchableError(error)
+        error.message = `${step.text} of branch '${this.chosenBranch}' failed because ${error.message}`
+        throw error
+      })
+  }
+
+  /**
+   * undo calls the `undo` function of each completed step of the chosen branch, starting with the most recently completed one
+   *   All of them are called even if some fail, in which case it rejects with a summary
+   *
+   * @param {Object} context
+   * @return {Promise}
+   * @api private
+   */
+  undo (context) {
+    const errorCatcher = new PromiseChainErrorCatcher('Undoing the branch')
+    let promise = Promise.resolve()
+    this.completedSteps.slice().reverse().forEach(i => {
+      const step = this.branches[this.chosenBranch][i]
+      if (step.undo) {
+        promise = promise
+          .then(() => assertIsPromise(step.undo(context)))
+          .catch(errorCatcher.nameError(`undo of ${step.text} of branch '${this.chosenBranch}'`))
+          .catch(errorCatcher.catchError)
+      }
+    })
+    return promise.then(() => {
+      if (errorCatcher.results.length) {
+        throw new Error(errorCatcher.results.map(error => `${error.stepName} failed because ${error.message}`).join('; '))
+      }
+    })
+  }
+
+  /**
+   * hasCompletedSteps returns true if any step of the chosen branch has completed
+   *
+   * @return {boolean}
+   * @api private
+   */
+  hasCompletedSteps () {
+    return this.completedSteps.length > 0
+  }
+
+  /**
+   * report returns the status of each step of the chosen branch, or undefined if no branch has been chosen yet
+   *
+   * @param {boolean} failed // true if the branch step failed, in which case the step it stopped at failed
+   * @return {Array<Object>|undefined}
+   * @api private
+   */
+  report (failed) {
+    if (this.chosenBranch === undefined) return undefined
+    return this.branches[this.chosenBranch].map((step, i) => {
+      let status = 'pending'
+      if (this.completedSteps.indexOf(i) >= 0) {
+        status = 'completed'
+      } else if (this.skippedSteps.indexOf(i) >= 0) {
+        status = 'skipped'
+      } else if (failed && i === this.nextStep) {
+        status = 'failed'
+      }
+      return { name: step.name || `${ordinal(i + 1)} step`, status }
+    })
+  }
+}
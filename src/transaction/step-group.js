@@ -0,0 +1,226 @@
+import ordinal from 'ordinal'
+import PromiseChainErrorCatcher from '../promise-chain-error-catcher'
+import assertIsPromise from '../assert-is-promise'
+import { rememberMatchableError } from './error-matcher'
+
+/**
+ * StepGroup runs the branches of a `parallel` Transaction step concurrently
+ *   - each branch is a function or an object with a `run` function and optional `name`, `undo` and `dependsOn` properties
+ *   - a branch with `dependsOn: ['other branch name']` starts once those branches have completed, so the branches form a dependency graph
+ *   - each branch is called with the context the group was called with, plus the results of the branches it depends on
+ *   - the results of all branches are merged in the order the branches were declared, regardless of the order they completed in
+ *   - the error of the group has the errors of the branches which failed as its `branchErrors`, which error matchers are tried on too
+ *   - completed branches are remembered, so running the group again (e.g. when the transaction is resumed) only runs the branches which failed or never started
+ *   - with idempotency keys, each branch's key is the group's key followed by the index of the branch
+ *
+ * @param {Array<Function|Object>} branches
+ * @param {string} groupText // how the group step is referred to in error messages
+ * @param {boolean} idempotencyKeys // true if the context has an `idempotencyKey` from which the branches' keys are made
+ * @api private
+ */
+export default class StepGroup {
+  constructor (branches, groupText, idempotencyKeys) {
+    if (!Array.isArray(branches) || branches.length <= 0) {
+      throw new Error(`${groupText} needs a non-empty list of \`parallel\` steps`)
+    }
+    this.branches = branches.map((branch, i) => {
+      branch = typeof branch === 'function' ? { run: branch } : Object.assign({}, branch)
+      branch.text = branch.name ? `branch '${branch.name}'` : `${ordinal(i + 1)} branch`
+      if (typeof branch.run !== 'function') {
+        throw new Error(`${groupText} has a ${branch.text} which is not a function or an object with a \`run\` function`)
+      }
+      if (branch.undo && typeof branch.undo !== 'function') {
+        throw new Error(`${groupText} has a ${branch.text} with an \`undo\` which is not a function`)
+      }
+      return branch
+    })
+
+    const indexes = {}
+    this.branches.forEach((branch, i) => {
+      if (branch.name && indexes.hasOwnProperty(branch.name)) {
+        throw new Error(`${groupText} has more than one branch named '${branch.name}'`)
+      }
+      if (branch.name) indexes[branch.name] = i
+    })
+    this.branches.forEach(branch => {
+      branch.dependencies = (branch.dependsOn || []).map(name => {
+        if (!indexes.hasOwnProperty(name)) {
+          throw new Error(`${groupText} has a ${branch.text} which depends on '${name}', but there is no branch with that name`)
+        }
+        return indexes[name]
+      })
+    })
+    this.assertNoCycles(groupText)
+
+    this.idempotencyKeys = idempotencyKeys
+    this.results = {}
+    this.completionOrder = []
+  }
+
+  /**
+   * run starts every branch which hasn't completed yet as soon as its dependencies have completed
+   *   Resolves with the merged results of all branches, or rejects once the running branches have settled if any branch failed
+   *
+   * @param {Object} context
+   * @param {...any} stepArguments // any other arguments the Transaction passes to its steps
+   * @return {Promise<Object>}
+   * @api private
+   */
+  run (context, ...stepArguments) {
+    return new Promise((resolve, reject) => {
+      const running = {}
+      const errors = []
+
+      const settle = () => {
+        if (Object.keys(running).length) return
+        if (errors.length) {
+          const error = new Error(errors.map(({ branch, error }) => `${branch.text} failed because ${error.message}`).join('; '))
+          error.branchErrors = errors.map(({ error }) => error)
+          reject(error)
+        } else {
+          resolve(this.mergedResults())
+        }
+      }
+
+      const startReadyBranches = () => {
+        this.branches.forEach((branch, i) => {
+          const isReady = !this.results.hasOwnProperty(i) && !running[i] &&
+            branch.dependencies.every(dependency => this.results.hasOwnProperty(dependency))
+          if (errors.length || !isReady) return
+          running[i] = true
+          Promise.resolve()
+            .then(() => {
+              const promise = branch.run(this.branchContext(context, branch, i), ...stepArguments)
+              return assertIsPromise(promise && promise.then ? promise.catch(error => { throw rememberMatchableError(error) }) : promise)
+            })
+            .then(result => {
+              this.results[i] = typeof result === 'object' ? result : {}
+              this.completionOrder.push(i)
+            }, error => {
+              errors.push({ branch, error })
+            })
+            .then(() => {
+              delete running[i]
+              startReadyBranches()
+              settle()
+            })
+        })
+      }
+
+      startReadyBranches()
+      settle()
+    })
+  }
+
+  /**
+   * undo calls the `undo` function of each completed branch, starting with the most recently completed one
+   *   All of them are called even if some fail, in which case it rejects with a summary
+   *
+   * @param {Object} context
+   * @return {Promise}
+   * @api private
+   */
+  undo (context) {
+    const errorCatcher = new PromiseChainErrorCatcher('Undoing the parallel steps')
+    let promise = Promise.resolve()
+    this.completionOrder.slice().reverse().forEach(i => {
+      const branch = this.branches[i]
+      if (branch.undo) {
+        promise = promise
+          .then(() => assertIsPromise(branch.undo(context)))
+          .catch(errorCatcher.nameError(`undo of ${branch.text}`))
+          .catch(errorCatcher.catchError)
+      }
+    })
+    return promise.then(() => {
+      if (errorCatcher.results.length) {
+        throw new Error(errorCatcher.results.map(error => `${error.stepName} failed because ${error.message}`).join('; '))
+      }
+    })
+  }
+
+  /**
+   * reset forgets the results of the branches, so that running the group again runs all of them
+   *
+   * @api private
+   */
+  reset () {
+    this.results = {}
+    this.completionOrder = []
+  }
+
+  /**
+   * hasCompletedBranches returns true if any branch has completed
+   *
+   * @return {boolean}
+   * @api private
+   */
+  hasCompletedBranches () {
+    return this.completionOrder.length > 0
+  }
+
+  /**
+   * branchContext returns the context for a branch: the group's context plus the results of the branches it depends on, and the branch's idempotency key
+   *
+   * @param {Object} context
+   * @param {Object} branch
+   * @param {number} index
+   * @return {Object}
+   * @api private
+   */
+  branchContext (context, branch, index) {
+    const dependencies = this.allDependencies(branch).sort((a, b) => a - b)
+    const branchContext = Object.assign({}, context, ...dependencies.map(i => this.results[i]))
+    if (this.idempotencyKeys) branchContext.idempotencyKey = `${context.idempotencyKey}:branch-${index}`
+    return branchContext
+  }
+
+  /**
+   * allDependencies returns the indexes of the branches which a branch depends on, directly or indirectly
+   *
+   * @param {Object} branch
+   * @return {Array<number>}
+   * @api private
+   */
+  allDependencies (branch) {
+    const found = {}
+    const visit = dependency => {
+      if (found[dependency]) return
+      found[dependency] = true
+      this.branches[dependency].dependencies.forEach(visit)
+    }
+    branch.dependencies.forEach(visit)
+    return Object.keys(found).map(Number)
+  }
+
+  /**
+   * mergedResults merges the results of all branches in the order the branches were declared
+   *
+   * @return {Object}
+   * @api private
+   */
+  mergedResults () {
+    return Object.assign({}, ...this.branches.map((branch, i) => this.results[i]))
+  }
+
+  /**
+   * assertNoCycles throws if the branches' dependencies form a cycle
+   *
+   * @param {string} groupText
+   * @api private
+   */
+  assertNoCycles (groupText) {
+    const state = {}
+    const visit = (i, path) => {
+      if (state[i] === 'done') return
+      if (state[i] === 'visiting') {
+        const cycle = path.slice(path.indexOf(i)).concat(i).map(j => this.branches[j].name)
+        throw new Error(`${groupText} has branches which depend on each other: ${cycle.join(' -> ')}`)
+      }
+      state[i] = 'visiting'
+      this.branches[i].dependencies.forEach(dependency => visit(dependency, path.concat(i)))
+      state[i] = 'done'
+    }
+    this.branches.forEach((branch, i) => visit(i, []))
+  }
+}
@@ -0,0 +1,40 @@
+import { LruCacheStore } from '../src/cache-stores'
+import 'babel-polyfill'
+
+describe('cache stores', () => {
+  describe('LruCacheStore', () => {
+    let store
+    beforeEach(() => {
+      store = new LruCacheStore({ maxEntries: 2 })
+    })
+
+    it('gets a stored entry', async () => {
+      await store.set('movies', { value: ['Alien'], storedAt: 1000 })
+      expect(await store.get('movies')).toEqual({ value: ['Alien'], storedAt: 1000 })
+    })
+
+    it('replaces a previously stored entry with the same key', async () => {
+      await store.set('movies', { value: ['Alien'], storedAt: 1000 })
+      await store.set('movies', { value: ['Aliens'], storedAt: 2000 })
+      expect(await store.get('movies')).toEqual({ value: ['Aliens'], storedAt: 2000 })
+    })
+
+    it('resolves with undefined if there is no entry for the key', async () => {
+      expect(await store.get('movies')).toBeUndefined()
+    })
+
+    it('drops the least recently used entry once it holds `maxEntries`', async () => {
+      await store.set('movies', { value: 1, storedAt: 1000 })
+      await store.set('series', { value: 2, storedAt: 1000 })
+      await store.get('movies')
+      await store.set('books', { value: 3, storedAt: 1000 })
+      expect(await store.get('series')).toBeUndefined()
+      expect(await store.get('movies')).toEqual({ value: 1, storedAt: 1000 })
+      expect(await store.get('books')).toEqual({ value: 3, storedAt: 1000 })
+    })
+
+    it('errors if `maxEntries` is not a positive integer', () => {
+      expect(() => new LruCacheStore({ maxEntries: 0 })).toThrowError('Expected `maxEntries` to be a positive integer, got 0')
+    })
+  })
+})
@@ -0,0 +1,86 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { MemoryCheckpointStore, FileCheckpointStore } from '../src/checkpoint-stores'
+import 'babel-polyfill'
+
+describe('checkpoint stores', () => {
+  const checkpoint = {
+    id: 'provision-account',
+    nextStep: 2,
+    context: { accountId: 7 },
+    completedSteps: [0, 1],
+    attempts: [1, 2]
+  }
+
+  describe('MemoryCheckpointStore', () => {
+    let store
+    beforeEach(() => {
+      store = new MemoryCheckpointStore()
+    })
+
+    it('loads a saved checkpoint', async () => {
+      await store.save('provision-account', checkpoint)
+      expect(await store.load('provision-account')).toEqual(checkpoint)
+    })
+
+    it('replaces a previously saved checkpoint with the same id', async () => {
+      await store.save('provision-account', checkpoint)
+      await store.save('provision-account', Object.assign({}, checkpoint, { nextStep: 3 }))
+      expect((await store.load('provision-account')).nextStep).toEqual(3)
+    })
+
+    it('stores a copy of the checkpoint', async () => {
+      const context = { accountId: 7 }
+      await store.save('provision-account', { context })
+      context.accountId = 8
+      expect(await store.load('provision-account')).toEqual({ context: { accountId: 7 } })
+    })
+
+    it('resolves with undefined if there is no checkpoint for the id', async () => {
+      expect(await store.load('hasOwnProperty')).toBeUndefined()
+    })
+  })
+
+  describe('FileCheckpointStore', () => {
+    let directory
+    let store
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'promise-clerk-'))
+      store = new FileCheckpointStore(directory)
+    })
+
+    afterEach(() => {
+      fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)))
+      fs.rmdirSync(directory)
+    })
+
+    it('loads a saved checkpoint', async () => {
+      await store.save('provision-account', checkpoint)
+      expect(await store.load('provision-account')).toEqual(checkpoint)
+    })
+
+    it('writes each checkpoint to a JSON file named after its id', async () => {
+      await store.save('accounts/42', checkpoint)
+      expect(fs.readdirSync(directory)).toEqual(['accounts%2F42.json'])
+      expect(JSON.parse(fs.readFileSync(path.join(directory, 'accounts%2F42.json'), 'utf8'))).toEqual(checkpoint)
+    })
+
+    it('resolves with undefined if there is no checkpoint for the id', async () => {
+      expect(await store.load('provision-account')).toBeUndefined()
+    })
+
+    it('rejects if the checkpoint file is not valid JSON', async () => {
+      fs.writeFileSync(path.join(directory, 'provision-account.json'), '{ "nextStep": ')
+      await expect(store.load('provision-account')).rejects.toBeInstanceOf(SyntaxError)
+    })
+
+    it('rejects if the directory does not exist', async () => {
+      await expect(new FileCheckpointStore(path.join(directory, 'missing')).save('provision-account', checkpoint)).rejects.toHaveProperty('code', 'ENOENT')
+    })
+
+    it('errors if it is constructed without a directory', () => {
+      expect(() => new FileCheckpointStore()).toThrowError('Expected the path of a directory, got undefined')
+    })
+  })
+})
@@ -0,0 +1,90 @@
+import CircuitBreaker from '../src/circuit-breaker'
+
+describe('CircuitBreaker', () => {
+  let circuitBreaker
+  let now
+
+  beforeEach(() => {
+    now = 1000000
+    spyOn(Date, 'now').and.callFake(() => now)
+    circuitBreaker = new CircuitBreaker({ failureThreshold: 0.5, minimumRequests: 4, windowSize: 6, coolDown: 30000 })
+  })
+
+  function record (outcomes) {
+    outcomes.forEach(succeeded => succeeded ? circuitBreaker.recordSuccess() : circuitBreaker.recordFailure())
+  }
+
+  it('starts closed, allowing requests', () => {
+    expect(circuitBreaker.state()).toEqual('closed')
+    expect(circuitBreaker.allowRequest()).toBe(true)
+  })
+
+  it('opens once the rate of failures reaches the threshold, after the minimum number of requests', () => {
+    record([true, false, false])
+    expect(circuitBreaker.state()).toEqual('closed')
+    record([false])
+    expect(circuitBreaker.state()).toEqual('open')
+    expect(circuitBreaker.allowRequest()).toBe(false)
+  })
+
+  it('only counts the outcomes in the window', () => {
+    record([false, false, true, true, true, true])
+    record([true, true, false])
+    expect(circuitBreaker.state()).toEqual('closed')
+    record([false])
+    expect(circuitBreaker.state()).toEqual('closed')
+    record([false])
+    expect(circuitBreaker.state()).toEqual('open')
+  })
+
+  it('is half-open after the cool-down, allowing a single trial request', () => {
+    record([false, false, false, false])
+    now += 29999
+    expect(circuitBreaker.state()).toEqual('open')
+    now += 1
+    expect(circuitBreaker.state()).toEqual('half-open')
+    expect(circuitBreaker.allowRequest()).toBe(true)
+    expect(circuitBreaker.allowRequest()).toBe(false)
+  })
+
+  it('closes if the trial request succeeds', () => {
+    record([false, false, false, false])
+    now += 30000
+    circuitBreaker.allowRequest()
+    circuitBreaker.recordSuccess()
+    expect(circuitBreaker.state()).toEqual('closed')
+    record([false, false, false])
+    expect(circuitBreaker.state()).toEqual('closed')
+  })
+
+  it('opens again if the trial request fails', () => {
+    record([false, false, false, false])
+    now += 30000
+    circuitBreaker.allowRequest()
+    circuitBreaker.recordFailure()
+    expect(circuitBreaker.state()).toEqual('open')
+    now += 30000
+    expect(circuitBreaker.state()).toEqual('half-open')
+  })
+
+  it('allows another trial request once the trial request is released', () => {
+    record([false, false, false, false])
+    now += 30000
+    circuitBreaker.allowRequest()
+    circuitBreaker.release()
+    expect(circuitBreaker.allowRequest()).toBe(true)
+  })
+
+  it('ignores the outcomes of requests which were made before the circuit opened', () => {
+    record([false, false, false, false])
+    circuitBreaker.recordSuccess()
+    expect(circuitBreaker.state()).toEqual('open')
+  })
+
+  it('errors if its options are invalid', () => {
+    expect(() => new CircuitBreaker({ failureThreshold: 2 })).toThrowError('Expected the `failureThreshold` to be a rate of failures greater than 0 and at most 1, got 2')
+    expect(() => new CircuitBreaker({ windowSize: 0 })).toThrowError('Expected the `windowSize` to be a positive integer, got 0')
+    expect(() => new CircuitBreaker({ minimumRequests: 11 })).toThrowError('Expected `minimumRequests` to be a positive integer no greater than the `windowSize` (10), got 11')
+    expect(() => new CircuitBreaker({ coolDown: -1 })).toThrowError('Expected the `coolDown` to be a number of milliseconds, got -1')
+  })
+})
@@ -1,3 +1,30 @@
+// kept before any test replaces the timers, so that promises can still be flushed with fake timers
+const realSetImmediate = setImmediate
+let now
+
 export function flushPromises () {
-  return new Promise(resolve => setImmediate(resolve))
+  return new Promise(resolve => realSetImmediate(resolve))
+}
+
+export function wait (milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
+
+export function useFakeClock () {
+  jest.useFakeTimers()
+  now = Date.now()
+  spyOn(Date, 'now').and.callFake(() => now)
+}
+
+export async function advanceClock (milliseconds) {
+  // timers which are about to be set by pending promise callbacks count from now
+  await flushPromises()
+  for (let i = 0; i < milliseconds; i++) {
+    now += 1
+    jest.advanceTimersByTime(1)
+    await flushPromises()
+    // timers set for 0 ms by what the previous ones did are due right away
+    jest.advanceTimersByTime(0)
+    await flushPromises()
+  }
 }
@@ -1,4 +1,8 @@
 import * as index from '../src/index'
+import { LruCacheStore } from '../src/cache-stores'
+import CircuitBreaker from '../src/circuit-breaker'
+import { MemoryCheckpointStore, FileCheckpointStore } from '../src/checkpoint-stores'
+import { ApprovalRejectedError, CancellationError, TimeoutError, TransactionError } from '../src/errors'
 import assertIsPromise from '../src/assert-is-promise'
 import PromiseChainErrorCatcher from '../src/promise-chain-error-catcher'
 import ReallyDeterminedPropertyGetter from '../src/really-determined-property-getter'
@@ -10,6 +14,30 @@ describe('index exports', () => {
     expect(index.assertIsPromise).toBe(assertIsPromise)
   })
 
+  it('correctly exports ApprovalRejectedError', () => {
+    expect(index.ApprovalRejectedError).toBe(ApprovalRejectedError)
+  })
+
+  it('correctly exports CancellationError', () => {
+    expect(index.CancellationError).toBe(CancellationError)
+  })
+
+  it('correctly exports CircuitBreaker', () => {
+    expect(index.CircuitBreaker).toBe(CircuitBreaker)
+  })
+
+  it('correctly exports FileCheckpointStore', () => {
+    expect(index.FileCheckpointStore).toBe(FileCheckpointStore)
+  })
+
+  it('correctly exports LruCacheStore', () => {
+    expect(index.LruCacheStore).toBe(LruCacheStore)
+  })
+
+  it('correctly exports MemoryCheckpointStore', () => {
+    expect(index.MemoryCheckpointStore).toBe(MemoryCheckpointStore)
+  })
+
   it('correctly exports PromiseChainErrorCatcher', () => {
     expect(index.PromiseChainErrorCatcher).toBe(PromiseChainErrorCatcher)
   })
@@ -22,7 +50,15 @@ describe('index exports', () => {
     expect(index.Quitter).toBe(Quitter)
   })
 
+  it('correctly exports TimeoutError', () => {
+    expect(index.TimeoutError).toBe(TimeoutError)
+  })
+
   it('correctly exports Transaction', () => {
     expect(index.Transaction).toBe(Transaction)
   })
+
+  it('correctly exports TransactionError', () => {
+    expect(index.TransactionError).toBe(TransactionError)
+  })
 })
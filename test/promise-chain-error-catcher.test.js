@@ -48,4 +48,14 @@ describe('PromiseChainErrorCatcher', () => {
         expect(error.message).toEqual(expectedMessage)
       })
   })
+
+  it('summarizes skipped steps as skipped', () => {
+    const errorCatcher = new PromiseChainErrorCatcher('<The Calling Entity Name>')
+    const skippedError = new Error('circuit open')
+    skippedError.skipped = true
+    skippedError.stepName = 'Skipped step'
+    errorCatcher.push(skippedError)
+    expect(errorCatcher.reportError().message).toEqual('<The Calling Entity Name> has failed.\n' +
+      '  - Skipped step skipped: circuit open\n')
+  })
 })
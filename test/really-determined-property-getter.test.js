@@ -1,8 +1,14 @@
+/* global AbortSignal */
 import ReallyDeterminedPropertyGetter from '../src/really-determined-property-getter'
+import CircuitBreaker from '../src/circuit-breaker'
+import { LruCacheStore } from '../src/cache-stores'
 import 'babel-polyfill'
 
 import {
-  flushPromises
+  advanceClock,
+  flushPromises,
+  useFakeClock,
+  wait
 } from './helpers'
 
 describe('ReallyDeterminedPropertyGetter', () => {
@@ -11,6 +17,13 @@ describe('ReallyDeterminedPropertyGetter', () => {
     value = new ReallyDeterminedPropertyGetter()
   })
 
+  // with a fake clock, resolves or rejects like `get` once the clock has advanced
+  function getAfter (milliseconds) {
+    const promise = value.get()
+    promise.catch(() => {})
+    return advanceClock(milliseconds).then(() => promise)
+  }
+
   describe('integration of the various methods', () => {
     it('correctly selects the first verified source, runs the primarySourceSynchronizer function, and resolves with the correct value', () => {
       const primarySourceSynchronizer = jasmine.createSpy('primarySourceSynchronizer').and.returnValue(Promise.resolve())
@@ -177,13 +190,47 @@ describe('ReallyDeterminedPropertyGetter', () => {
       return expect(value.get()).rejects.toEqual(new Error(errorMessage))
     })
 
-    it('throws an error if it is called again before the primary source has resolved', () => {
+    it('returns the same Promise to every caller while it is in progress, trying the sources only once', async () => {
+      let resolvePrimary
+      const primary = jasmine.createSpy('primary').and.callFake(() => new Promise(resolve => { resolvePrimary = resolve }))
+      value.primarySource(primary)
+      const first = value.get()
+      const second = value.get()
+      expect(second).toBe(first)
+      resolvePrimary('shared')
+      expect(await Promise.all([first, second])).toEqual(['shared', 'shared'])
+      expect(primary.calls.count()).toEqual(1)
+      expect(value.report().source).toEqual('primary source')
+    })
+
+    it('rejects every caller with the full error summary if a shared call fails', async () => {
+      value.primarySource(() => wait(5).then(() => Promise.reject(new Error('bad primary'))))
+      const secondary = jasmine.createSpy('secondary').and.callFake(() => Promise.reject(new Error('bad secondary')))
+      value.secondarySource(secondary)
+      const errors = await Promise.all([value.get(), value.get(), value.get()].map(promise => promise.catch(error => error.message)))
+      const errorMessage = 'The Really Determined Property Getter has failed.\n' +
+        '  - primary source failed because it was rejected with \'Error: bad primary\'\n' +
+        '  - secondary source #1 failed because it was rejected with \'Error: bad secondary\'\n'
+      expect(errors).toEqual([errorMessage, errorMessage, errorMessage])
+      expect(secondary.calls.count()).toEqual(1)
+    })
+
+    it('starts a new call once the shared call has completed', async () => {
+      const primary = jasmine.createSpy('primary').and.returnValues(Promise.resolve('the first one'), Promise.resolve('another one'))
+      value.primarySource(primary)
+      expect(await Promise.all([value.get(), value.get()])).toEqual(['the first one', 'the first one'])
+      expect(await value.get()).toEqual('another one')
+    })
+
+    it('throws an error if it is called again before the primary source has resolved and concurrent gets are disallowed', () => {
       value.primarySource(() => new Promise((resolve, reject) => {}))
+      value.disallowConcurrentGets()
       value.get()
       expect(() => value.get()).toThrowError('`get` was called again before the first call to `get` completed. This will produce unexpected behavior and is not allowed.')
     })
 
-    it('throws an error if it is called again before one of the secondary sources has resolved', () => {
+    it('throws an error if it is called again before one of the secondary sources has resolved and concurrent gets are disallowed', () => {
+      value.disallowConcurrentGets()
       value.primarySource(() => Promise.reject(new Error('another problem with primary')))
       value.secondarySource(() => Promise.reject(new Error('problem with secondary #1')))
       value.secondarySource(() => new Promise((resolve, reject) => {}))
@@ -425,4 +472,792 @@ describe('ReallyDeterminedPropertyGetter', () => {
       expect(value.ignoreSynchronizationErrors()).toBe(value)
     })
   })
+
+  describe('source options', () => {
+    function never () {
+      return jasmine.createSpy('never').and.returnValue(new Promise(() => {}))
+    }
+
+    beforeEach(() => {
+      useFakeClock()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('calls the sources with an AbortSignal', async () => {
+      const primary = jasmine.createSpy('primary').and.returnValue(Promise.resolve('primary'))
+      await value.primarySource(primary).get()
+      expect(primary).toHaveBeenCalledWith({ signal: jasmine.any(AbortSignal) })
+    })
+
+    it('fails a source which does not settle within its timeout, aborts it, and moves on to the next source', async () => {
+      const primary = never()
+      value.primarySource(primary, { timeout: 20 })
+      value.secondarySource(never(), { timeout: 10 })
+      value.secondarySource(() => Promise.resolve('the one we want'))
+      expect(await getAfter(30)).toEqual('the one we want')
+      expect(primary.calls.mostRecent().args[0].signal.aborted).toBe(true)
+    })
+
+    it('times out sources where there is no AbortController', async () => {
+      const { AbortController } = global
+      delete global.AbortController
+      try {
+        const primary = never()
+        value.primarySource(primary, { timeout: 20 }).secondarySource(() => Promise.resolve('the one we want'))
+        expect(await getAfter(20)).toEqual('the one we want')
+        expect(primary).toHaveBeenCalledWith({ signal: undefined })
+      } finally {
+        global.AbortController = AbortController
+      }
+    })
+
+    it('reports timeouts in the summary, with the names of the sources', async () => {
+      value.primarySource(never(), { timeout: 20, name: 'main API' })
+      value.secondarySource(() => Promise.reject(new Error('not found')), { name: 'movie mirror' })
+      value.secondarySource(never(), { timeout: 10 })
+      const error = await getAfter(30).catch(error => error)
+      expect(error.message).toEqual('The Really Determined Property Getter has failed.\n' +
+        '  - primary source \'main API\' failed because it did not settle within 20 ms\n' +
+        '  - secondary source \'movie mirror\' failed because it was rejected with \'Error: not found\'\n' +
+        '  - secondary source #2 failed because it did not settle within 10 ms\n')
+    })
+
+    it('says which source the value came from by its name', async () => {
+      value.primarySource(() => Promise.reject(new Error('problem with primary')))
+      value.secondarySource(() => Promise.resolve('from the mirror'), { name: 'movie mirror' })
+      await value.get()
+      expect(value.report().source).toEqual('secondary source \'movie mirror\'')
+    })
+
+    it('applies the timeouts to the hedged and race strategies', async () => {
+      value.primarySource(never(), { timeout: 10 })
+      value.secondarySource(() => new Promise(resolve => setTimeout(() => resolve('from secondary'), 20)))
+      value.strategy('hedged', { delay: 1000 })
+      expect(await getAfter(30)).toEqual('from secondary')
+    })
+
+    describe('circuitBreaker', () => {
+      let circuitBreaker
+
+      beforeEach(() => {
+        circuitBreaker = new CircuitBreaker({ minimumRequests: 1, coolDown: 30000 })
+      })
+
+      it('records the outcomes of the source', async () => {
+        spyOn(circuitBreaker, 'recordSuccess').and.callThrough()
+        value.primarySource(() => Promise.resolve('primary'), { circuitBreaker })
+        await value.get()
+        expect(circuitBreaker.recordSuccess).toHaveBeenCalled()
+      })
+
+      it('skips the source while the circuit is open, and shows it as skipped in the summary', async () => {
+        const primary = jasmine.createSpy('primary').and.callFake(() => Promise.reject(new Error('service unavailable')))
+        value.primarySource(primary, { circuitBreaker })
+        value.secondarySource(() => Promise.reject(new Error('not found')))
+        await value.get().catch(() => {})
+        expect(circuitBreaker.state()).toEqual('open')
+        const error = await value.get().catch(error => error)
+        expect(primary.calls.count()).toEqual(1)
+        expect(error.message).toEqual('The Really Determined Property Getter has failed.\n' +
+          '  - primary source skipped: circuit open\n' +
+          '  - secondary source #1 failed because it was rejected with \'Error: not found\'\n')
+      })
+
+      it('counts getters which throw as failures', async () => {
+        value.primarySource(() => { throw new Error('bad arguments') }, { circuitBreaker })
+        value.secondarySource(() => Promise.reject(new Error('not found')))
+        const error = await value.get().catch(error => error)
+        expect(circuitBreaker.state()).toEqual('open')
+        expect(error.message).toEqual('The Really Determined Property Getter has failed.\n' +
+          '  - primary source failed because it was rejected with \'Error: bad arguments\'\n' +
+          '  - secondary source #1 failed because it was rejected with \'Error: not found\'\n')
+      })
+
+      it('counts timeouts as failures', async () => {
+        value.primarySource(() => new Promise(() => {}), { circuitBreaker, timeout: 10 })
+        value.secondarySource(() => Promise.resolve('from secondary'))
+        await getAfter(10)
+        expect(circuitBreaker.state()).toEqual('open')
+      })
+
+      it('shares the circuit between getters', async () => {
+        const otherPrimary = jasmine.createSpy('otherPrimary')
+        value.primarySource(() => Promise.reject(new Error('service unavailable')), { circuitBreaker }).secondarySource(() => Promise.resolve('from secondary'))
+        await value.get()
+        const otherValue = new ReallyDeterminedPropertyGetter()
+          .primarySource(otherPrimary, { circuitBreaker })
+          .secondarySource(() => Promise.resolve('from the other secondary'))
+        expect(await otherValue.get()).toEqual('from the other secondary')
+        expect(otherPrimary).not.toHaveBeenCalled()
+      })
+
+      it('does not record an outcome for sources which are aborted because they are no longer needed', async () => {
+        spyOn(circuitBreaker, 'recordFailure').and.callThrough()
+        spyOn(circuitBreaker, 'release').and.callThrough()
+        value.primarySource(({ signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))), { circuitBreaker })
+        value.secondarySource(() => Promise.resolve('from secondary'))
+        value.strategy('race')
+        await value.get()
+        await flushPromises()
+        expect(circuitBreaker.release).toHaveBeenCalled()
+        expect(circuitBreaker.recordFailure).not.toHaveBeenCalled()
+      })
+    })
+
+    it('throws an error if the options are invalid', () => {
+      expect(() => value.primarySource(() => {}, { timeout: 0 })).toThrowError('Expected the `timeout` of the primary source to be a positive number of milliseconds, got 0')
+      value.secondarySource(() => {})
+      expect(() => value.secondarySource(() => {}, { name: '' })).toThrowError('Expected the `name` of the secondary source #2 to be a non-empty string, got ""')
+      expect(() => value.secondarySource(() => {}, { circuitBreaker: {} })).toThrowError('Expected the `circuitBreaker` of the secondary source #2 to be a CircuitBreaker, got {}')
+    })
+  })
+
+  describe('strategy', () => {
+    function source (name, milliseconds, result) {
+      return jasmine.createSpy(name).and.callFake(() => new Promise((resolve, reject) => {
+        setTimeout(() => result instanceof Error ? reject(result) : resolve(result), milliseconds)
+      }))
+    }
+
+    beforeEach(() => {
+      useFakeClock()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('tries the sources one after another by default', async () => {
+      const primary = source('primary', 20, new Error('no luck with the primary'))
+      const secondary = source('secondary', 0, 'from secondary')
+      value.primarySource(primary).secondarySource(secondary)
+      const promise = value.get()
+      await advanceClock(10)
+      expect(secondary).not.toHaveBeenCalled()
+      await advanceClock(11)
+      expect(await promise).toEqual('from secondary')
+    })
+
+    describe('hedged', () => {
+      it('starts the next source if the current one has not succeeded within the delay, and aborts the slower ones', async () => {
+        const primary = source('primary', 100, 'from primary')
+        const secondary = source('secondary', 10, 'from secondary')
+        const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+        value.primarySource(primary).secondarySource(secondary).synchronizeWithPrimarySource(synchronizer).strategy('hedged', { delay: 20 })
+        const promise = value.get()
+        await advanceClock(10)
+        expect(primary).toHaveBeenCalled()
+        expect(secondary).not.toHaveBeenCalled()
+        await advanceClock(20)
+        expect(await promise).toEqual('from secondary')
+        expect(primary.calls.mostRecent().args[0].signal.aborted).toBe(true)
+        expect(secondary.calls.mostRecent().args[0].signal.aborted).toBe(false)
+        expect(synchronizer).not.toHaveBeenCalled()
+        expect(value.report()).toEqual({ source: 'secondary source #1', stale: false })
+      })
+
+      it('resolves with the current source if it succeeds within the delay', async () => {
+        const secondary = source('secondary', 0, 'from secondary')
+        value.primarySource(source('primary', 5, 'from primary')).secondarySource(secondary).strategy('hedged', { delay: 50 })
+        expect(await getAfter(5)).toEqual('from primary')
+        await advanceClock(60)
+        expect(secondary).not.toHaveBeenCalled()
+      })
+
+      it('starts the next source as soon as the current one fails, and synchronizes the value with the primary source', async () => {
+        const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+        value
+          .verify(value => value !== 'unverified')
+          .primarySource(source('primary', 0, 'unverified'))
+          .secondarySource(source('secondary', 0, 'from secondary'))
+          .synchronizeWithPrimarySource(synchronizer)
+          .strategy('hedged', { delay: 1000 })
+        expect(await getAfter(1)).toEqual('from secondary')
+        expect(synchronizer).toHaveBeenCalledWith('from secondary')
+      })
+
+      it('ignores the sources which fail after the value has been found', async () => {
+        value.primarySource(source('primary', 30, new Error('too late'))).secondarySource(source('secondary', 0, 'from secondary')).strategy('hedged', { delay: 10 })
+        expect(await getAfter(11)).toEqual('from secondary')
+        await advanceClock(40)
+        expect(value.report().source).toEqual('secondary source #1')
+      })
+
+      it('rejects with the errors of all the sources, in order, if they all fail', async () => {
+        value
+          .primarySource(source('primary', 30, new Error('no luck with the primary')))
+          .secondarySource(source('secondary', 0, new Error('no luck with the secondary')))
+          .strategy('hedged', { delay: 10 })
+        await expect(getAfter(30)).rejects.toEqual(new Error('The Really Determined Property Getter has failed.\n' +
+          '  - primary source failed because it was rejected with \'Error: no luck with the primary\'\n' +
+          '  - secondary source #1 failed because it was rejected with \'Error: no luck with the secondary\'\n'))
+      })
+    })
+
+    describe('race', () => {
+      it('starts all the sources at once, and resolves with the first verified value', async () => {
+        const primary = source('primary', 50, 'from primary')
+        const secondary = source('secondary', 20, 'from secondary')
+        const tertiary = source('tertiary', 0, 'unverified')
+        value.verify(value => value !== 'unverified').primarySource(primary).secondarySource(secondary).secondarySource(tertiary).strategy('race')
+        const promise = value.get()
+        await flushPromises()
+        expect(primary).toHaveBeenCalled()
+        expect(secondary).toHaveBeenCalled()
+        expect(tertiary).toHaveBeenCalled()
+        await advanceClock(20)
+        expect(await promise).toEqual('from secondary')
+        expect(primary.calls.mostRecent().args[0].signal.aborted).toBe(true)
+      })
+
+      it('calls the sources with an undefined signal where there is no AbortController, and still releases their circuits', async () => {
+        const { AbortController } = global
+        delete global.AbortController
+        try {
+          const circuitBreaker = new CircuitBreaker({ minimumRequests: 1, coolDown: 30000 })
+          spyOn(circuitBreaker, 'release').and.callThrough()
+          const primary = source('primary', 50, 'from primary')
+          value.primarySource(primary, { circuitBreaker }).secondarySource(source('secondary', 20, 'from secondary')).strategy('race')
+          expect(await getAfter(20)).toEqual('from secondary')
+          expect(primary).toHaveBeenCalledWith({ signal: undefined })
+          expect(circuitBreaker.release).toHaveBeenCalled()
+        } finally {
+          global.AbortController = AbortController
+        }
+      })
+
+      it('reports a synchronization error like the sequential strategy', async () => {
+        value
+          .primarySource(source('primary', 0, new Error('no luck with the primary')))
+          .secondarySource(source('secondary', 10, 'from secondary'))
+          .synchronizeWithPrimarySource(() => Promise.reject(new Error('nope')))
+          .strategy('race')
+        await expect(getAfter(10)).rejects.toEqual(new Error('The Really Determined Property Getter has failed.\n' +
+          '  - primary source failed because it was rejected with \'Error: no luck with the primary\'\n' +
+          '  - secondary source #1 resolved with "from secondary"\n' +
+          '  - primarySourceSynchronizer function #1 failed because it was rejected with \'Error: nope\'\n'))
+      })
+    })
+
+    describe('quorum', () => {
+      it('resolves once the required number of sources agree on a verified value, and aborts the others', async () => {
+        const slowest = source('slowest', 100, 101)
+        value
+          .verify(price => price > 0)
+          .primarySource(source('primary', 0, 99))
+          .secondarySource(source('secondary', 0, -1))
+          .secondarySource(source('tertiary', 10, 99))
+          .secondarySource(slowest)
+          .strategy('quorum', { required: 2 })
+        expect(await getAfter(10)).toEqual(99)
+        expect(value.report()).toEqual({ source: 'quorum', agreeing: ['primary source', 'secondary source #2'], stale: false })
+        expect(slowest.calls.mostRecent().args[0].signal.aborted).toBe(true)
+      })
+
+      it('compares the values with the `equals` function', async () => {
+        value
+          .primarySource(source('primary', 0, { price: 99.999 }))
+          .secondarySource(source('secondary', 0, { price: 100 }))
+          .strategy('quorum', { required: 2, equals: (value, otherValue) => Math.abs(value.price - otherValue.price) < 0.01 })
+        expect(await getAfter(1)).toEqual({ price: 100 })
+      })
+
+      it('counts a source as failed if its value cannot be compared with the others', async () => {
+        const circular = {}
+        circular.self = circular
+        value
+          .primarySource(source('primary', 0, 99))
+          .secondarySource(source('secondary', 0, circular))
+          .secondarySource(source('tertiary', 5, 99))
+          .strategy('quorum', { required: 2 })
+        expect(await getAfter(5)).toEqual(99)
+        expect(value.report().agreeing).toEqual(['primary source', 'secondary source #2'])
+      })
+
+      it('reports the error of an `equals` function which throws', async () => {
+        value
+          .primarySource(source('primary', 0, 99))
+          .secondarySource(source('secondary', 0, 99))
+          .strategy('quorum', { required: 2, equals: () => { throw new Error('cannot compare') } })
+        const error = await getAfter(1).catch(error => error)
+        expect(error.message).toEqual('The Really Determined Property Getter has failed.\n' +
+          '  - primary source resolved with 99\n' +
+          '  - secondary source #1 failed because its value could not be compared with the others because cannot compare\n' +
+          '  - quorum failed because fewer than 2 sources agreed on the value\n')
+      })
+
+      it('rejects with what each source returned if they do not agree', async () => {
+        value
+          .primarySource(source('primary', 0, 99))
+          .secondarySource(source('secondary', 0, 101))
+          .secondarySource(source('tertiary', 0, new Error('not found')))
+          .strategy('quorum', { required: 2 })
+        const error = await getAfter(1).catch(error => error)
+        expect(error.message).toEqual('The Really Determined Property Getter has failed.\n' +
+          '  - primary source resolved with 99\n' +
+          '  - secondary source #1 resolved with 101\n' +
+          '  - secondary source #2 failed because it was rejected with \'Error: not found\'\n' +
+          '  - quorum failed because fewer than 2 sources agreed on the value\n')
+        expect(value.report()).toEqual({ source: undefined, stale: false })
+      })
+
+      it('synchronizes the value with the primary source if the primary source disagreed', async () => {
+        const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+        value
+          .primarySource(source('primary', 0, 98))
+          .secondarySource(source('secondary', 0, 99))
+          .secondarySource(source('tertiary', 5, 99))
+          .synchronizeWithPrimarySource(synchronizer)
+          .strategy('quorum', { required: 2 })
+        expect(await getAfter(5)).toEqual(99)
+        expect(synchronizer).toHaveBeenCalledWith(99)
+      })
+
+      it('throws an error if there are not enough sources to agree', () => {
+        value.primarySource(() => Promise.resolve(99)).secondarySource(() => Promise.resolve(99)).strategy('quorum', { required: 3 })
+        expect(() => value.get()).toThrowError('The \'quorum\' strategy needs at least 3 sources to agree, but there are only 2 sources')
+      })
+
+      it('throws an error if its options are invalid', () => {
+        expect(() => new ReallyDeterminedPropertyGetter().strategy('quorum', { required: 1 }))
+          .toThrowError('Expected the number of sources `required` to agree by the \'quorum\' strategy to be an integer of at least 2, got 1')
+        expect(() => new ReallyDeterminedPropertyGetter().strategy('quorum', { required: 2, equals: 'strict' }))
+          .toThrowError('Expected the `equals` function of the \'quorum\' strategy to be a function, got "strict"')
+      })
+    })
+
+    it('returns the main object to support chaining', () => {
+      expect(value.strategy('race')).toBe(value)
+    })
+
+    it('throws an error if called multiple times', () => {
+      value.strategy('race')
+      expect(() => value.strategy('sequential')).toThrowError('There can only be one strategy. You already chose the \'race\' strategy')
+    })
+
+    it('throws an error for unknown strategies, or a hedged strategy without a delay', () => {
+      expect(() => value.strategy('fastest')).toThrowError('Expected the strategy to be one of sequential, hedged, race, quorum, got "fastest"')
+      expect(() => value.strategy('hedged')).toThrowError('Expected the `delay` of the \'hedged\' strategy to be a positive number of milliseconds, got undefined')
+    })
+  })
+
+  describe('adaptiveOrder', () => {
+    let calls
+
+    function source (name, results) {
+      let call = 0
+      return jasmine.createSpy(name).and.callFake(() => {
+        calls.push(name)
+        const result = results[Math.min(call++, results.length - 1)]
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result)
+      })
+    }
+
+    beforeEach(() => {
+      calls = []
+    })
+
+    it('tries the secondary sources with the best recent success rate first', async () => {
+      value
+        .primarySource(source('primary', [new Error('down')]))
+        .secondarySource(source('flaky', [new Error('flaked'), 'from flaky']))
+        .secondarySource(source('reliable', ['from reliable']))
+        .adaptiveOrder()
+      expect(await value.get()).toEqual('from reliable')
+      calls.length = 0
+      expect(await value.get()).toEqual('from reliable')
+      expect(calls).toEqual(['primary', 'reliable'])
+    })
+
+    it('prefers the source with the lower latency when the success rates are the same', async () => {
+      let now = 0
+      spyOn(Date, 'now').and.callFake(() => now)
+      const slow = jasmine.createSpy('slow').and.callFake(() => { calls.push('slow'); now += 500; return Promise.resolve('from slow') })
+      const fast = jasmine.createSpy('fast').and.callFake(() => { calls.push('fast'); now += 50; return Promise.resolve('from fast') })
+      value
+        .primarySource(source('primary', [new Error('down')]))
+        .secondarySource(slow)
+        .secondarySource(fast)
+        .secondarySource(source('fails once', [new Error('flaked'), 'fine now']))
+        .adaptiveOrder()
+      expect(await value.get()).toEqual('from slow')
+      slow.and.callFake(() => { calls.push('slow'); now += 500; return Promise.reject(new Error('slow and down')) })
+      expect(await value.get()).toEqual('from fast')
+      calls.length = 0
+      await value.get()
+      // 'fails once' hasn't been called yet, so its latency is unknown
+      expect(calls).toEqual(['primary', 'fast'])
+      expect(value.sourceHealth().map(({ name }) => name)).toEqual(['primary source', 'secondary source #2', 'secondary source #3', 'secondary source #1'])
+    })
+
+    it('keeps the primary source first, and synchronizes with it when it fails', async () => {
+      const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+      value
+        .primarySource(source('primary', [new Error('down')]))
+        .secondarySource(source('secondary', ['from secondary']))
+        .synchronizeWithPrimarySource(synchronizer)
+        .adaptiveOrder()
+      await value.get()
+      calls.length = 0
+      await value.get()
+      expect(calls).toEqual(['primary', 'secondary'])
+      expect(synchronizer.calls.count()).toEqual(2)
+    })
+
+    it('demotes an unhealthy primary source if `demotePrimary` is set, without synchronizing with it unless it was tried and failed', async () => {
+      const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+      value
+        .primarySource(source('primary', [new Error('down')]))
+        .secondarySource(source('secondary', ['from secondary']))
+        .synchronizeWithPrimarySource(synchronizer)
+        .adaptiveOrder({ demotePrimary: true })
+      await value.get()
+      expect(synchronizer.calls.count()).toEqual(1)
+      calls.length = 0
+      expect(await value.get()).toEqual('from secondary')
+      expect(calls).toEqual(['secondary'])
+      expect(synchronizer.calls.count()).toEqual(1)
+    })
+
+    it('only counts the calls in the window', async () => {
+      value
+        .primarySource(source('primary', [new Error('down'), new Error('down'), 'back up']))
+        .secondarySource(source('secondary', ['from secondary']))
+        .adaptiveOrder({ demotePrimary: true, windowSize: 1 })
+      await value.get()
+      calls.length = 0
+      await value.get()
+      expect(calls).toEqual(['secondary'])
+    })
+
+    it('forgets the calls older than `maxAge`, so that a demoted source is tried again', async () => {
+      let now = 0
+      spyOn(Date, 'now').and.callFake(() => now)
+      value
+        .primarySource(source('primary', [new Error('down'), 'back up']))
+        .secondarySource(source('secondary', ['from secondary']))
+        .adaptiveOrder({ demotePrimary: true, maxAge: 1000 })
+      await value.get()
+      now = 999
+      calls.length = 0
+      expect(await value.get()).toEqual('from secondary')
+      expect(calls).toEqual(['secondary'])
+      now = 2001
+      calls.length = 0
+      expect(await value.get()).toEqual('back up')
+      expect(calls).toEqual(['primary'])
+      expect(value.sourceHealth()).toEqual([
+        { name: 'primary source', calls: 1, successRate: 1, latency: 0 },
+        { name: 'secondary source #1', calls: 0, successRate: 1, latency: Infinity }
+      ])
+    })
+
+    it('reports the health of the sources in the order they would be tried', async () => {
+      let now = 0
+      spyOn(Date, 'now').and.callFake(() => now)
+      value
+        .primarySource(() => Promise.reject(new Error('down')))
+        .secondarySource(() => { now += 80; return Promise.resolve('from secondary') })
+        .secondarySource(() => Promise.resolve('never called'))
+        .adaptiveOrder({ demotePrimary: true })
+      await value.get()
+      expect(value.sourceHealth()).toEqual([
+        { name: 'secondary source #1', calls: 1, successRate: 1, latency: 80 },
+        { name: 'secondary source #2', calls: 0, successRate: 1, latency: Infinity },
+        { name: 'primary source', calls: 1, successRate: 0, latency: Infinity }
+      ])
+    })
+
+    it('returns the main object to support chaining', () => {
+      expect(value.adaptiveOrder()).toBe(value)
+    })
+
+    it('throws an error if called multiple times, or with an invalid window size or maximum age', () => {
+      expect(() => new ReallyDeterminedPropertyGetter().adaptiveOrder({ windowSize: 0 })).toThrowError('Expected the `windowSize` of the adaptive order to be a positive integer, got 0')
+      expect(() => new ReallyDeterminedPropertyGetter().adaptiveOrder({ maxAge: -1 })).toThrowError('Expected the `maxAge` of the adaptive order to be a positive number of milliseconds, got -1')
+      value.adaptiveOrder()
+      expect(() => value.adaptiveOrder()).toThrowError('There can only be one adaptive order. You already called `adaptiveOrder`')
+    })
+  })
+
+  describe('cache', () => {
+    let now
+    let primary
+
+    beforeEach(() => {
+      now = 1000000
+      spyOn(Date, 'now').and.callFake(() => now)
+      primary = jasmine.createSpy('primary').and.callFake(() => Promise.resolve(`value at ${now}`))
+      value.primarySource(primary)
+    })
+
+    it('resolves with the cached value within the ttl, without trying the sources', async () => {
+      value.cache({ ttl: 60000 })
+      expect(await value.get()).toEqual('value at 1000000')
+      now += 59999
+      expect(await value.get()).toEqual('value at 1000000')
+      expect(primary.calls.count()).toEqual(1)
+      expect(value.report()).toEqual({ source: 'cache', stale: false, age: 59999 })
+    })
+
+    it('gets the value from the sources again after the ttl', async () => {
+      value.cache({ ttl: 60000 })
+      await value.get()
+      now += 60000
+      expect(await value.get()).toEqual('value at 1060000')
+      expect(value.report()).toEqual({ source: 'primary source', stale: false })
+    })
+
+    it('only caches verified values', async () => {
+      const secondary = jasmine.createSpy('secondary').and.returnValue(Promise.resolve('from secondary'))
+      value.verify(value => value !== 'value at 1000000').secondarySource(secondary).cache({ ttl: 60000 })
+      expect(await value.get()).toEqual('from secondary')
+      expect(value.report()).toEqual({ source: 'secondary source #1', stale: false })
+      expect(await value.get()).toEqual('from secondary')
+      expect(value.report().source).toEqual('cache')
+    })
+
+    it('resolves with the stale value within `staleWhileRevalidate`, and revalidates it in the background', async () => {
+      value.cache({ ttl: 60000, staleWhileRevalidate: 30000 })
+      await value.get()
+      now += 70000
+      expect(await value.get()).toEqual('value at 1000000')
+      expect(value.report()).toEqual({ source: 'cache', stale: true, age: 70000, revalidating: true })
+      await flushPromises()
+      expect(primary.calls.count()).toEqual(2)
+      expect(await value.get()).toEqual('value at 1070000')
+      expect(value.report()).toEqual({ source: 'cache', stale: false, age: 0 })
+    })
+
+    it('falls back to the stale value within `staleIfError` if all the sources fail', async () => {
+      value.cache({ ttl: 60000, staleIfError: 30000 })
+      await value.get()
+      now += 80000
+      primary.and.callFake(() => Promise.reject(new Error('service unavailable')))
+      expect(await value.get()).toEqual('value at 1000000')
+      expect(value.report()).toEqual({ source: 'cache', stale: true, age: 80000, error: jasmine.any(Error) })
+      expect(value.report().error.message).toMatch(/primary source failed because it was rejected with 'Error: service unavailable'/)
+      now += 10000
+      await expect(value.get()).rejects.toEqual(jasmine.any(Error))
+      expect(value.report()).toEqual({ source: undefined, stale: false })
+    })
+
+    it('falls back to a stale value of any age if `staleIfError` is true', async () => {
+      value.cache({ ttl: 60000, staleIfError: true })
+      await value.get()
+      now += 1e9
+      primary.and.callFake(() => Promise.reject(new Error('service unavailable')))
+      expect(await value.get()).toEqual('value at 1000000')
+    })
+
+    it('rejects as usual if the sources fail and there is no cached value', async () => {
+      value.cache({ ttl: 60000, staleIfError: true })
+      primary.and.callFake(() => Promise.reject(new Error('service unavailable')))
+      await expect(value.get()).rejects.toEqual(new Error('The Really Determined Property Getter has failed.\n' +
+        '  - primary source failed because it was rejected with \'Error: service unavailable\'\n'))
+    })
+
+    it('uses a custom store, and treats its errors as cache misses', async () => {
+      const store = {
+        get: jasmine.createSpy('get').and.callFake(() => Promise.reject(new Error('connection refused'))),
+        set: jasmine.createSpy('set').and.returnValue(Promise.resolve())
+      }
+      value.cache({ ttl: 60000, store, key: 'movie-listing' })
+      expect(await value.get()).toEqual('value at 1000000')
+      expect(store.get).toHaveBeenCalledWith('movie-listing')
+      expect(store.set).toHaveBeenCalledWith('movie-listing', { value: 'value at 1000000', storedAt: 1000000 })
+      expect(value.report().cacheError.message).toEqual('it was rejected with \'Error: connection refused\'')
+    })
+
+    it('caches the value found for each list of arguments separately', async () => {
+      const store = new LruCacheStore()
+      spyOn(store, 'set').and.callThrough()
+      primary.and.callFake((options, title) => Promise.resolve(`${title} at ${now}`))
+      value.cache({ ttl: 60000, store, key: 'movies' })
+      expect(await value.get('Alien')).toEqual('Alien at 1000000')
+      now += 1000
+      expect(await value.get('Heat')).toEqual('Heat at 1001000')
+      expect(await value.get('Alien')).toEqual('Alien at 1000000')
+      expect(primary.calls.count()).toEqual(2)
+      expect(store.set).toHaveBeenCalledWith('movies:["Alien"]', { value: 'Alien at 1000000', storedAt: 1000000 })
+      expect(store.set).toHaveBeenCalledWith('movies:["Heat"]', { value: 'Heat at 1001000', storedAt: 1001000 })
+    })
+
+    it('revalidates the value for the arguments it was found with', async () => {
+      primary.and.callFake((options, title) => Promise.resolve(`${title} at ${now}`))
+      value.cache({ ttl: 60000, staleWhileRevalidate: 30000 })
+      await value.get('Alien')
+      await value.get('Heat')
+      now += 70000
+      expect(await value.get('Alien')).toEqual('Alien at 1000000')
+      expect(await value.get('Heat')).toEqual('Heat at 1000000')
+      await flushPromises()
+      expect(primary.calls.count()).toEqual(4)
+      expect(await value.get('Alien')).toEqual('Alien at 1070000')
+      expect(await value.get('Heat')).toEqual('Heat at 1070000')
+    })
+
+    it('uses the key function with the arguments', async () => {
+      const store = { get: jasmine.createSpy('get').and.returnValue(Promise.resolve()), set: jasmine.createSpy('set').and.returnValue(Promise.resolve()) }
+      value.cache({ ttl: 60000, store, key: (title, year) => `movie/${title}/${year}` })
+      await value.get('Alien', 1979)
+      expect(store.get).toHaveBeenCalledWith('movie/Alien/1979')
+      expect(store.set).toHaveBeenCalledWith('movie/Alien/1979', jasmine.any(Object))
+    })
+
+    it('returns the main object to support chaining', () => {
+      expect(value.cache({ ttl: 60000 })).toBe(value)
+    })
+
+    it('throws an error if called multiple times', () => {
+      value.cache({ ttl: 60000 })
+      expect(() => value.cache({ ttl: 1000 })).toThrowError('There can only be one cache. You already registered a cache with a ttl of 60000 ms')
+    })
+
+    it('throws an error if its options are invalid', () => {
+      expect(() => value.cache()).toThrowError('Expected the cache\'s `ttl` to be a positive number of milliseconds, got undefined')
+      expect(() => value.cache({ ttl: 1000, staleWhileRevalidate: -1 })).toThrowError('Expected the cache\'s `staleWhileRevalidate` to be a number of milliseconds, got -1')
+      expect(() => value.cache({ ttl: 1000, staleIfError: 'yes' })).toThrowError('Expected the cache\'s `staleIfError` to be a boolean or a number of milliseconds, got "yes"')
+      expect(() => value.cache({ ttl: 1000, store: {} })).toThrowError('Expected the cache\'s `store` to have `get(key)` and `set(key, entry)` methods')
+      expect(() => value.cache({ ttl: 1000, key: '' })).toThrowError('Expected the cache\'s `key` to be a non-empty string or a function, got ""')
+    })
+  })
+
+  describe('arguments of get', () => {
+    it('passes them to every source, after the signal', async () => {
+      const primary = jasmine.createSpy('primary').and.callFake(() => Promise.reject(new Error('bad primary')))
+      const secondary = jasmine.createSpy('secondary').and.returnValue(Promise.resolve('Alien (1979)'))
+      value.primarySource(primary).secondarySource(secondary)
+      expect(await value.get('Alien', { year: 1979 })).toEqual('Alien (1979)')
+      expect(primary).toHaveBeenCalledWith({ signal: jasmine.any(Object) }, 'Alien', { year: 1979 })
+      expect(secondary).toHaveBeenCalledWith({ signal: jasmine.any(Object) }, 'Alien', { year: 1979 })
+    })
+
+    it('passes them to the sources with every strategy', async () => {
+      const primary = jasmine.createSpy('primary').and.returnValue(Promise.resolve(42))
+      const secondary = jasmine.createSpy('secondary').and.returnValue(Promise.resolve(42))
+      value.primarySource(primary).secondarySource(secondary).strategy('quorum', { required: 2 })
+      expect(await value.get('user-1')).toEqual(42)
+      expect(primary).toHaveBeenCalledWith({ signal: jasmine.any(Object) }, 'user-1')
+      expect(secondary).toHaveBeenCalledWith({ signal: jasmine.any(Object) }, 'user-1')
+    })
+
+    it('passes them to the verifier and the primarySourceSynchronizers, after the value', async () => {
+      const verifier = jasmine.createSpy('verifier').and.returnValue(true)
+      const synchronizer = jasmine.createSpy('synchronizer').and.returnValue(Promise.resolve())
+      value.primarySource(() => Promise.reject(new Error('bad primary')))
+        .secondarySource(() => Promise.resolve('good secondary'))
+        .verify(verifier)
+        .synchronizeWithPrimarySource(synchronizer)
+      await value.get('user-1', 'en')
+      expect(verifier).toHaveBeenCalledWith('good secondary', 'user-1', 'en')
+      expect(synchronizer).toHaveBeenCalledWith('good secondary', 'user-1', 'en')
+    })
+
+    it('shares the Promise of a call in progress only with callers which passed the same arguments', async () => {
+      const primary = jasmine.createSpy('primary').and.callFake((options, title) => wait(5).then(() => `${title} listings`))
+      value.primarySource(primary)
+      const alien = value.get('Alien')
+      expect(value.get('Alien')).toBe(alien)
+      const heat = value.get('Heat')
+      expect(heat).not.toBe(alien)
+      expect(await Promise.all([alien, heat])).toEqual(['Alien listings', 'Heat listings'])
+      expect(primary.calls.count()).toEqual(2)
+    })
+
+    it('leaves the optional parameters of the sources alone when fewer arguments are passed', async () => {
+      const primary = jasmine.createSpy('primary').and.callFake((options, page = 1) => Promise.resolve(`page ${page}`))
+      value.primarySource(primary)
+      expect(await value.get()).toEqual('page 1')
+      expect(await value.get(2)).toEqual('page 2')
+    })
+
+    it('does not share calls with arguments which JSON cannot tell apart', async () => {
+      const primary = jasmine.createSpy('primary').and.callFake(() => wait(5).then(() => 'listings'))
+      value.primarySource(primary)
+      const circular = {}
+      circular.self = circular
+      const calls = [[undefined], [null], [new Map([['title', 'Alien']])], [new Map()], [circular], [circular]].map(args => value.get(...args))
+      calls.forEach((call, i) => calls.forEach((otherCall, j) => i !== j && expect(call).not.toBe(otherCall)))
+      expect(await Promise.all(calls)).toEqual(calls.map(() => 'listings'))
+      expect(primary.calls.count()).toEqual(6)
+    })
+
+    it('does not cache the values found for arguments which JSON cannot tell apart, unless the key is a function', async () => {
+      const primary = jasmine.createSpy('primary').and.callFake((options, filter) => Promise.resolve(filter ? `${filter.size} filters` : 'no filters'))
+      const store = new LruCacheStore()
+      spyOn(store, 'set').and.callThrough()
+      value.primarySource(primary).cache({ ttl: 60000, store, key: 'movies' })
+      expect(await value.get(new Map([['title', 'Alien']]))).toEqual('1 filters')
+      expect(await value.get(new Map())).toEqual('0 filters')
+      expect(await value.get(undefined)).toEqual('no filters')
+      expect(store.set).not.toHaveBeenCalled()
+      expect(primary.calls.count()).toEqual(3)
+
+      const otherValue = new ReallyDeterminedPropertyGetter()
+        .primarySource(primary)
+        .cache({ ttl: 60000, store, key: filter => `movies/${filter.get('title')}` })
+      await otherValue.get(new Map([['title', 'Alien']]))
+      expect(await otherValue.get(new Map([['title', 'Alien']]))).toEqual('1 filters')
+      expect(store.set).toHaveBeenCalledWith('movies/Alien', jasmine.any(Object))
+      expect(primary.calls.count()).toEqual(4)
+    })
+
+    it('throws if a call with any arguments is in progress and concurrent gets are disallowed', () => {
+      value.primarySource(() => new Promise(resolve => {})).disallowConcurrentGets()
+      value.get('Alien')
+      expect(() => value.get('Heat')).toThrowError('`get` was called again before the first call to `get` completed. This will produce unexpected behavior and is not allowed.')
+      expect(() => value.get(new Map())).toThrowError('`get` was called again before the first call to `get` completed. This will produce unexpected behavior and is not allowed.')
+    })
+  })
+
+  describe('report', () => {
+    it('is undefined until `get` completes', () => {
+      expect(value.report()).toBeUndefined()
+    })
+
+    it('says which source the value came from', async () => {
+      value.primarySource(() => Promise.reject(new Error('problem with primary')))
+      value.secondarySource(() => Promise.reject(new Error('problem with secondary #1')))
+      value.secondarySource(() => Promise.resolve('from secondary #2'))
+      await value.get()
+      expect(value.report()).toEqual({ source: 'secondary source #2', stale: false })
+    })
+
+    // the primary source fails for 'slow' after a while, and the secondary source then answers it
+    function primaryFailingSlowly () {
+      value.primarySource((options, title) => title === 'slow' ? wait(5).then(() => Promise.reject(new Error('problem with primary'))) : Promise.resolve(`${title} from primary`))
+      value.secondarySource((options, title) => Promise.resolve(`${title} from secondary #1`))
+    }
+
+    it('is the report of the call which completed last when calls are in progress at once', async () => {
+      primaryFailingSlowly()
+      const slow = value.get('slow')
+      await value.get('fast')
+      expect(value.report()).toEqual({ source: 'primary source', stale: false })
+      await slow
+      expect(value.report()).toEqual({ source: 'secondary source #1', stale: false })
+    })
+
+    it('is resolved for each call by `getWithReport`, even when calls are in progress at once', async () => {
+      primaryFailingSlowly()
+      const [slow, fast] = await Promise.all([value.getWithReport('slow'), value.getWithReport('fast')])
+      expect(slow).toEqual({ value: 'slow from secondary #1', report: { source: 'secondary source #1', stale: false } })
+      expect(fast).toEqual({ value: 'fast from primary', report: { source: 'primary source', stale: false } })
+    })
+
+    it('is shared by `getWithReport` with a call to `get` with the same arguments', async () => {
+      primaryFailingSlowly()
+      const slow = value.get('slow')
+      expect(await value.getWithReport('slow')).toEqual({ value: await slow, report: { source: 'secondary source #1', stale: false } })
+    })
+
+    it('rejects `getWithReport` like `get`', async () => {
+      value.primarySource(() => Promise.reject(new Error('problem with primary')))
+      await expect(value.getWithReport()).rejects.toThrow(/problem with primary/)
+    })
+  })
 })
@@ -1,8 +1,14 @@
+/* global AbortController, AbortSignal */
 import Transaction from '../src/transaction'
+import { MemoryCheckpointStore } from '../src/checkpoint-stores'
+import { ApprovalRejectedError, CancellationError, TransactionError, TimeoutError } from '../src/errors'
 import 'babel-polyfill'
 
 import {
-  flushPromises
+  advanceClock,
+  flushPromises,
+  useFakeClock,
+  wait
 } from './helpers'
 
 describe('Transaction', () => {
@@ -174,24 +180,29 @@ describe('Transaction', () => {
         'step5'
       ])
     })
+
+    it('errors if the transaction has not been started', () => {
+      expect(() => transaction.resume()).toThrowError('Transaction has not been started, so there is nothing to resume')
+      expect(callOrder).toEqual([])
+    })
   })
 
   describe('shared context', () => {
     it('passes an empty object to the first step if no context is provided', async () => {
       transaction.execute()
       await flushPromises()
-      expect(steps.step1.spy.calls.mostRecent().args).toEqual([ {} ])
+      expect(steps.step1.spy.calls.mostRecent().args).toEqual([{}, { signal: jasmine.any(AbortSignal) }])
     })
 
     it('passes the object provided to the execute method to the first step as context', async () => {
       const context = { foo: 'bar' }
       transaction.execute(context)
       await flushPromises()
-      expect(steps.step1.spy.calls.mostRecent().args).toEqual([ context ])
-      expect(steps.step2.spy.calls.mostRecent().args).toEqual([ context ])
-      expect(steps.step3.spy.calls.mostRecent().args).toEqual([ context ])
-      expect(steps.step4.spy.calls.mostRecent().args).toEqual([ context ])
-      expect(steps.step5.spy.calls.mostRecent().args).toEqual([ context ])
+      expect(steps.step1.spy.calls.mostRecent().args).toEqual([context, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step2.spy.calls.mostRecent().args).toEqual([context, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step3.spy.calls.mostRecent().args).toEqual([context, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step4.spy.calls.mostRecent().args).toEqual([context, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step5.spy.calls.mostRecent().args).toEqual([context, { signal: jasmine.any(AbortSignal) }])
     })
 
     it('merges returned object into context and passes it to the next step as context and doesn\'t error if any steps return nothing or non-objects', async () => {
@@ -205,11 +216,11 @@ describe('Transaction', () => {
         willBeOverwritten: 'new value',
         step1Context: 'bar'
       }
-      expect(steps.step1.spy.calls.mostRecent().args).toEqual([ initialContext ])
-      expect(steps.step2.spy.calls.mostRecent().args).toEqual([ expectedContext ])
-      expect(steps.step3.spy.calls.mostRecent().args).toEqual([ expectedContext ])
-      expect(steps.step4.spy.calls.mostRecent().args).toEqual([ expectedContext ])
-      expect(steps.step5.spy.calls.mostRecent().args).toEqual([ expectedContext ])
+      expect(steps.step1.spy.calls.mostRecent().args).toEqual([initialContext, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step2.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step3.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step4.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step5.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
     })
 
     it('correctly remembers the context in the case of error and resume', async () => {
@@ -227,7 +238,7 @@ describe('Transaction', () => {
         step2: 'bar',
         step3: 'baz'
       }
-      expect(steps.step4.spy.calls.mostRecent().args).toEqual([ expectedContext ])
+      expect(steps.step4.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
       expect(steps.step4.spy).toHaveBeenCalledTimes(1)
       expect(steps.step5.spy).toHaveBeenCalledTimes(0)
 
@@ -237,10 +248,10 @@ describe('Transaction', () => {
       await flushPromises()
 
       expect(steps.step4.spy).toHaveBeenCalledTimes(2)
-      expect(steps.step4.spy.calls.mostRecent().args).toEqual([ expectedContext ])
+      expect(steps.step4.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
       expect(steps.step5.spy).toHaveBeenCalledTimes(1)
       expectedContext.step4 = 'quux'
-      expect(steps.step5.spy.calls.mostRecent().args).toEqual([ expectedContext ])
+      expect(steps.step5.spy.calls.mostRecent().args).toEqual([expectedContext, { signal: jasmine.any(AbortSignal) }])
     })
   })
 
@@ -313,6 +324,156 @@ describe('Transaction', () => {
       await flushPromises()
       expect(onError).toHaveBeenCalled()
     })
+
+    it('matches strings literally, rather than as patterns', async () => {
+      const onPriceError = jasmine.createSpy('onPriceError')
+      transaction.onSpecificError('price (in $) is not a number', onPriceError)
+      transaction.onSpecificError('price .*', onPriceError)
+      steps.step2.result = Promise.reject(new Error('price (in $) is not a number'))
+      transaction.execute()
+      await flushPromises()
+      expect(onPriceError).toHaveBeenCalledTimes(1)
+    })
+
+    it('matches the error before its message is prefixed with the step', async () => {
+      const onNotFound = jasmine.createSpy('onNotFound')
+      transaction.onSpecificError(/^not found$/, onNotFound)
+      steps.step2.result = Promise.reject(new Error('not found'))
+      transaction.execute()
+      await flushPromises()
+      expect(onNotFound.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: not found')
+    })
+
+    it('matches errors which are instances of an Error class', async () => {
+      class HttpError extends Error {}
+      const onTimeout = jasmine.createSpy('onTimeout')
+      const onHttpError = jasmine.createSpy('onHttpError')
+      transaction.onSpecificError(TimeoutError, onTimeout)
+      transaction.onSpecificError(HttpError, onHttpError)
+      steps.step2.result = Promise.reject(new TimeoutError('it did not settle within 10 ms', 10))
+      transaction.execute()
+      await flushPromises()
+      expect(onTimeout).toHaveBeenCalled()
+      expect(onHttpError).not.toHaveBeenCalled()
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('matches errors for which a predicate returns truthy, passing it the step which failed', async () => {
+      const predicate = jasmine.createSpy('predicate').and.callFake(error => error.retryable)
+      const onRetryable = jasmine.createSpy('onRetryable')
+      transaction.onSpecificError(predicate, onRetryable)
+      const error = new Error('busy')
+      error.retryable = true
+      steps.step2.result = Promise.reject(error)
+      transaction.execute()
+      await flushPromises()
+      expect(predicate).toHaveBeenCalledWith(error, { stepIndex: 1, stepName: '2nd step' })
+      expect(onRetryable).toHaveBeenCalled()
+    })
+
+    it('matches errors by their `code` and `status`', async () => {
+      const onNotFound = jasmine.createSpy('onNotFound')
+      const onServerError = jasmine.createSpy('onServerError')
+      const onConnectionRefused = jasmine.createSpy('onConnectionRefused')
+      transaction.onSpecificError({ status: 404 }, onNotFound)
+      transaction.onSpecificError({ status: status => status >= 500 }, onServerError)
+      transaction.onSpecificError({ code: /^ECONN/ }, onConnectionRefused)
+      steps.step2.spy.and.callFake(() => Promise.reject(Object.assign(new Error('Service Unavailable'), { status: 503 })))
+      transaction.execute()
+      await flushPromises()
+      expect(onServerError).toHaveBeenCalled()
+      expect(onNotFound).not.toHaveBeenCalled()
+      expect(onConnectionRefused).not.toHaveBeenCalled()
+
+      steps.step2.spy.and.callFake(() => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })))
+      transaction.resume()
+      await flushPromises()
+      expect(onConnectionRefused).toHaveBeenCalled()
+      expect(onServerError).toHaveBeenCalledTimes(1)
+    })
+
+    it('matches errors of a step by its name or index, combined with the other properties', async () => {
+      const onInviteError = jasmine.createSpy('onInviteError')
+      const onThirdStepError = jasmine.createSpy('onThirdStepError')
+      const onOtherMessage = jasmine.createSpy('onOtherMessage')
+      transaction = new Transaction([steps.step1.spy, { name: 'send invite', run: steps.step2.spy }, steps.step3.spy])
+      transaction.onError(onError)
+      transaction.onSpecificError({ step: 'send invite', message: /mail/, instanceOf: Error }, onInviteError)
+      transaction.onSpecificError({ step: 2 }, onThirdStepError)
+      transaction.onSpecificError({ step: 'send invite', message: 'database is down' }, onOtherMessage)
+      steps.step2.result = Promise.reject(new Error('mail server is down'))
+      transaction.execute()
+      await flushPromises()
+      expect(onInviteError).toHaveBeenCalled()
+      expect(onThirdStepError).not.toHaveBeenCalled()
+      expect(onOtherMessage).not.toHaveBeenCalled()
+    })
+
+    it('matches the errors of the branches of a `parallel` step as they failed with them', async () => {
+      const onNotFound = jasmine.createSpy('onNotFound')
+      const onNotFoundMessage = jasmine.createSpy('onNotFoundMessage')
+      const onTimeout = jasmine.createSpy('onTimeout')
+      transaction = new Transaction([{ name: 'uploads', parallel: [() => Promise.resolve(), () => Promise.reject(Object.assign(new Error('not found'), { status: 404 }))] }])
+      transaction.onError(onError)
+      transaction.onSpecificError({ status: 404, step: 'uploads' }, onNotFound)
+      transaction.onSpecificError('not found', onNotFoundMessage)
+      transaction.onSpecificError(TimeoutError, onTimeout)
+      transaction.execute()
+      await flushPromises()
+      expect(onNotFound).toHaveBeenCalled()
+      expect(onNotFoundMessage).toHaveBeenCalled()
+      expect(onTimeout).not.toHaveBeenCalled()
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('matches the errors of the steps of a branch step with the message they failed with', async () => {
+      const onNotFound = jasmine.createSpy('onNotFound')
+      const onTimeout = jasmine.createSpy('onTimeout')
+      transaction = new Transaction([
+        { name: 'ship', branch: () => 'express', branches: { express: [() => Promise.reject(new TimeoutError('not found', 10))] } }
+      ])
+      transaction.onError(onError)
+      transaction.onSpecificError({ message: 'not found', step: 'ship' }, onNotFound)
+      transaction.onSpecificError(TimeoutError, onTimeout)
+      transaction.execute()
+      await flushPromises()
+      expect(onNotFound).toHaveBeenCalled()
+      expect(onTimeout).toHaveBeenCalled()
+      expect(onNotFound.calls.mostRecent().args[0].message).toEqual('Error in step \'ship\': 1st step of branch \'express\' failed because it was rejected with \'TimeoutError: not found\'')
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('matches the errors of the steps of a nested transaction, including their branches', async () => {
+      const onNotFound = jasmine.createSpy('onNotFound')
+      const onServerError = jasmine.createSpy('onServerError')
+      const findAccount = jasmine.createSpy('findAccount').and.callFake(() => findAccount.calls.count() === 1
+        ? Promise.reject(Object.assign(new Error('not found'), { status: 404 }))
+        : Promise.resolve())
+      transaction = new Transaction([{
+        name: 'billing',
+        steps: [
+          findAccount,
+          { parallel: [() => Promise.reject(Object.assign(new Error('bad gateway'), { status: 502 }))] }
+        ]
+      }])
+      transaction.onError(onError)
+      transaction.onSpecificError({ message: 'not found', status: 404 }, onNotFound)
+      transaction.onSpecificError({ message: 'bad gateway', status: status => status >= 500 }, onServerError)
+      transaction.execute()
+      await flushPromises()
+      expect(onNotFound).toHaveBeenCalled()
+      expect(onServerError).not.toHaveBeenCalled()
+
+      transaction.resume()
+      await flushPromises()
+      expect(onServerError).toHaveBeenCalled()
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('errors if it is given something it cannot match errors with', () => {
+      expect(() => transaction.onSpecificError(404, () => {})).toThrowError('Expected a string, RegExp, Error class, function or object to match errors with, got 404')
+      expect(() => transaction.onSpecificError({ statusCode: 404 }, () => {})).toThrowError('Expected the properties of an error matcher to be some of message, code, status, instanceOf, step, got statusCode')
+    })
   })
 
   describe('onResume', () => {
@@ -343,105 +504,2489 @@ describe('Transaction', () => {
     })
   })
 
-  describe('execute', () => {
-    it('errors if called before an onError callback is assigned', () => {
-      transaction = new Transaction(Object.values(steps).map(step => step.spy))
-      expect(() => transaction.execute()).toThrowError(/You called `execute` before assigning an `onError` callback./)
-    })
+  describe('abandon', () => {
+    let undoOrder
+    let undoSteps
 
-    it('does not error if called after an onError callback is assigned', () => {
-      transaction = new Transaction(Object.values(steps).map(step => step.spy))
+    function makeUndoSpy (name) {
+      return jasmine.createSpy(name).and.callFake(() => {
+        undoOrder.push(name)
+        return undoSteps[name].result
+      })
+    }
+
+    beforeEach(() => {
+      undoOrder = []
+      undoSteps = {
+        'undo1': { spy: makeUndoSpy('undo1'), result: Promise.resolve() },
+        'undo2': { spy: makeUndoSpy('undo2'), result: Promise.resolve() },
+        'undo4': { spy: makeUndoSpy('undo4'), result: Promise.resolve() }
+      }
+      transaction = new Transaction([
+        { run: steps.step1.spy, undo: undoSteps.undo1.spy },
+        { run: steps.step2.spy, undo: undoSteps.undo2.spy },
+        steps.step3.spy,
+        { run: steps.step4.spy, undo: undoSteps.undo4.spy },
+        steps.step5.spy
+      ])
       transaction.onError(() => {})
-      expect(() => transaction.execute()).not.toThrow()
     })
 
-    it('errors if it is called after the transaction has been started', async () => {
-      steps.step1.result = Promise.reject(new Error('error in first step'))
-      transaction.onError(() => {})
+    it('calls the `undo` function of each completed step in reverse order', async () => {
+      steps.step5.result = Promise.reject(new Error('step 5 failed'))
       transaction.execute()
       await flushPromises()
-      expect(() => transaction.execute()).toThrowError(/Transaction is already in progress. To resume the transaction, use the `resume` method instead of `execute`/)
+      await transaction.abandon()
+      expect(undoOrder).toEqual([
+        'undo4',
+        'undo2',
+        'undo1'
+      ])
     })
-  })
 
-  describe('constructor error handling', () => {
-    it('errors if it is constructed with a step that isn\'t a function', () => {
-      expect(() => new Transaction([
-        () => {},
-        () => {},
-        false,
-        () => {}
-      ])).toThrowError(/3rd Transaction step is not a function/i)
-      expect(() => new Transaction([
-        () => {},
-        false,
-        () => {},
-        () => {}
-      ])).toThrowError(/2nd Transaction step is not a function/i)
+    it('does not call the `undo` function of the failed step or of steps which were never run', async () => {
+      steps.step4.result = Promise.reject(new Error('step 4 failed'))
+      transaction.execute()
+      await flushPromises()
+      await transaction.abandon()
+      expect(undoOrder).toEqual([
+        'undo2',
+        'undo1'
+      ])
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step3',
+        'step4'
+      ])
     })
 
-    it('does not error if it is constructed with all function steps', () => {
-      expect(() => new Transaction([
-        () => {},
-        () => {},
-        () => {},
-        () => {}
-      ])).not.toThrow()
+    it('passes the accumulated context to each `undo` function', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      steps.step2.result = Promise.resolve({ bucketId: 8 })
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
+      transaction.execute({ initial: 'foo' })
+      await flushPromises()
+      await transaction.abandon()
+      const expectedContext = { initial: 'foo', accountId: 7, bucketId: 8 }
+      expect(undoSteps.undo1.spy).toHaveBeenCalledWith(expectedContext)
+      expect(undoSteps.undo2.spy).toHaveBeenCalledWith(expectedContext)
     })
 
-    it('errors if it is constructed with an empty list of steps', () => {
-      expect(() => new Transaction([])).toThrowError(/transaction needs at least one step/i)
+    it('calls the remaining `undo` functions and rejects with a summary if any of them fail', async () => {
+      steps.step5.result = Promise.reject(new Error('step 5 failed'))
+      undoSteps.undo4.spy.and.callFake(() => Promise.reject(new Error('could not undo step 4')))
+      undoSteps.undo1.spy.and.callFake(() => { throw new Error('could not undo step 1') })
+      transaction.execute()
+      await flushPromises()
+      const errorMessage = 'Transaction rollback has failed.\n' +
+        '  - undo of 4th step failed because it was rejected with \'Error: could not undo step 4\'\n' +
+        '  - undo of 1st step failed because could not undo step 1\n'
+      await expect(transaction.abandon()).rejects.toEqual(new Error(errorMessage))
+      expect(undoSteps.undo2.spy).toHaveBeenCalled()
     })
 
-    it('errors if it is constructed with a non-Array value for steps', () => {
-      expect(() => new Transaction('apple sauce')).toThrowError(/expected a list of functions, got "apple sauce"/i)
+    it('does not run any more steps once the transaction has been abandoned', async () => {
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
+      transaction.execute()
+      await flushPromises()
+      await transaction.abandon()
+      callOrder.length = 0
+      expect(() => transaction.resume()).toThrowError('Transaction has been abandoned and cannot be resumed')
+      await flushPromises()
+      expect(callOrder).toEqual([])
     })
-  })
 
-  describe('step error handling', () => {
-    it('indicates the correct step that an error occured in if it is a synchronous exception', async () => {
-      steps.step3.spy.and.callFake(() => { throw new Error('problem in starting step 3') })
-      const onError = jasmine.createSpy('onError')
-      transaction.onError(onError)
+    it('waits for a running step to settle, and undoes it too if it completes', async () => {
+      let resolveStep2
+      steps.step2.result = new Promise(resolve => { resolveStep2 = resolve })
       transaction.execute()
       await flushPromises()
-      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 3rd step: problem in starting step 3/)
+      const rollback = transaction.abandon()
+      await flushPromises()
+      expect(undoOrder).toEqual([])
+      resolveStep2()
+      await rollback
+      expect(undoOrder).toEqual(['undo2', 'undo1'])
+      expect(callOrder).toEqual(['step1', 'step2'])
+      const error = await transaction.catch(error => error)
+      expect(error).toEqual(jasmine.any(TransactionError))
+      expect(error.message).toEqual('Transaction was abandoned in 2nd step')
     })
 
-    it('throws descriptive error if an error occurs in an onSuccess callback', async () => {
+    it('waits for a running step to settle, and does not undo it if it fails', async () => {
+      let rejectStep2
+      steps.step2.spy.and.callFake(() => new Promise((resolve, reject) => { rejectStep2 = reject }))
       const onError = jasmine.createSpy('onError')
       transaction.onError(onError)
-      transaction.onSuccess(() => { throw new Error('problem with onSuccess') })
       transaction.execute()
       await flushPromises()
-      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in onSuccess callback: problem with onSuccess/)
+      const rollback = transaction.abandon()
+      rejectStep2(new Error('step 2 failed'))
+      await rollback
+      expect(undoOrder).toEqual(['undo1'])
+      expect(onError).not.toHaveBeenCalled()
     })
 
-    it('indicates the correct step that an error occured in if it is a synchronous exception in the last step', async () => {
-      steps.step5.spy.and.callFake(() => { throw new Error('problem in starting step 5') })
-      const onError = jasmine.createSpy('onError')
-      transaction.onError(onError)
+    it('errors if the transaction has not been started', () => {
+      expect(() => transaction.abandon()).toThrowError('Transaction has not been started, so there is nothing to abandon')
+    })
+
+    it('errors if it is called more than once', async () => {
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
       transaction.execute()
       await flushPromises()
-      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 5th step/)
+      transaction.abandon()
+      expect(() => transaction.abandon()).toThrowError('Transaction has already been abandoned')
     })
+  })
 
-    it('indicates the correct step that an error occured in if it is indicated by a rejected Promise in the last step', async () => {
-      steps.step5.result = Promise.reject(new Error('problem during step 5'))
+  describe('auto-retry', () => {
+    function failTimes (name, times) {
+      let failures = 0
+      steps[name].spy.and.callFake(() => {
+        callOrder.push(name)
+        failures += 1
+        return failures <= times ? Promise.reject(new Error(`${name} failure #${failures}`)) : Promise.resolve()
+      })
+    }
+
+    function createTransaction (stepList, options) {
+      transaction = new Transaction(stepList, options)
+      transaction.onError(error => fail(error.message))
+      return transaction
+    }
+
+    const allSteps = () => Object.values(steps).map(step => step.spy)
+
+    beforeEach(() => {
+      useFakeClock()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('retries a failed step without calling onError when the transaction has a retry policy', async () => {
+      failTimes('step3', 2)
+      createTransaction(allSteps(), { retry: { maxAttempts: 3 } }).execute()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step3',
+        'step3',
+        'step3',
+        'step4',
+        'step5'
+      ])
+    })
+
+    it('only calls onError once the attempts run out', async () => {
+      failTimes('step2', 5)
+      const onError = jasmine.createSpy('onError')
+      createTransaction(allSteps(), { retry: { maxAttempts: 3 } }).onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step2',
+        'step2'
+      ])
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: step2 failure #3')
+    })
+
+    it('retries a step which throws instead of rejecting', async () => {
+      steps.step2.spy.and.callFake(() => {
+        callOrder.push('step2')
+        if (steps.step2.spy.calls.count() <= 2) throw new Error(`sync boom ${steps.step2.spy.calls.count()}`)
+        return Promise.resolve()
+      })
       const onError = jasmine.createSpy('onError')
+      transaction = new Transaction(allSteps(), { retry: { maxAttempts: 3 } })
       transaction.onError(onError)
+      const promise = transaction.execute()
+      await advanceClock(10)
+      await promise
+      expect(callOrder).toEqual(['step1', 'step2', 'step2', 'step2', 'step3', 'step4', 'step5'])
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('lets a step\'s retry policy override the transaction\'s retry policy', async () => {
+      failTimes('step2', 1)
+      failTimes('step4', 2)
+      const onError = jasmine.createSpy('onError')
+      createTransaction([
+        steps.step1.spy,
+        { run: steps.step2.spy, retry: { maxAttempts: 1 } },
+        steps.step3.spy,
+        steps.step4.spy,
+        steps.step5.spy
+      ], { retry: { maxAttempts: 3 } }).onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2'
+      ])
+      expect(onError).toHaveBeenCalledTimes(1)
+      callOrder.length = 0
+      transaction.resume()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step2',
+        'step3',
+        'step4',
+        'step4',
+        'step4',
+        'step5'
+      ])
+    })
+
+    it('only retries a step which has a retry policy', async () => {
+      failTimes('step2', 1)
+      failTimes('step3', 1)
+      const onError = jasmine.createSpy('onError')
+      createTransaction([
+        steps.step1.spy,
+        steps.step2.spy,
+        { run: steps.step3.spy, retry: { maxAttempts: 2 } }
+      ]).onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      expect(onError).toHaveBeenCalledTimes(1)
+      transaction.resume()
+      await advanceClock(10)
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step2',
+        'step3',
+        'step3'
+      ])
+    })
+
+    it('does not retry errors for which `retryIf` returns false', async () => {
+      failTimes('step2', 5)
+      const onError = jasmine.createSpy('onError')
+      const retryIf = jasmine.createSpy('retryIf').and.callFake(error => error.message !== 'step2 failure #2')
+      createTransaction(allSteps(), { retry: { maxAttempts: 5, retryIf } }).onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step2'
+      ])
+      expect(retryIf.calls.first().args[0].message).toEqual('step2 failure #1')
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: step2 failure #2')
+    })
+
+    it('reports an error of `retryIf` to onError instead of retrying', async () => {
+      failTimes('step2', 1)
+      const onError = jasmine.createSpy('onError')
+      createTransaction(allSteps(), { retry: { maxAttempts: 3, retryIf: () => { throw new Error('bad retryIf') } } }).onError(onError)
       transaction.execute()
       await flushPromises()
-      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 5th step: problem during step 5/)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2'
+      ])
+      expect(onError).toHaveBeenCalledTimes(1)
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: its retry policy\'s `retryIf` failed because bad retryIf')
     })
 
-    it('thows a descriptive error if a step does not return a promise', async () => {
-      let returnedError
-      transaction.onError(error => { returnedError = error })
-      steps.step2.result = { not: 'a promise' }
+    it('waits `delay` milliseconds between attempts with fixed backoff', async () => {
+      failTimes('step1', 3)
+      createTransaction(allSteps(), { retry: { maxAttempts: 4, delay: 2 } }).execute()
+      await advanceClock(50)
+      expect(setTimeout.mock.calls.map(args => args[1])).toEqual([2, 2, 2])
+    })
+
+    it('doubles the wait after each attempt with exponential backoff, up to `maxDelay`', async () => {
+      failTimes('step1', 4)
+      createTransaction(allSteps(), { retry: { maxAttempts: 5, delay: 2, backoff: 'exponential', maxDelay: 10 } }).execute()
+      await advanceClock(50)
+      expect(setTimeout.mock.calls.map(args => args[1])).toEqual([2, 4, 8, 10])
+    })
+
+    it('randomizes the given fraction of the wait with jitter', async () => {
+      failTimes('step1', 2)
+      spyOn(Math, 'random').and.returnValue(0.5)
+      createTransaction(allSteps(), { retry: { maxAttempts: 3, delay: 8, jitter: 0.5 } }).execute()
+      await advanceClock(50)
+      expect(setTimeout.mock.calls.map(args => args[1])).toEqual([6, 6])
+    })
+
+    it('gives the step a fresh set of attempts when it is resumed', async () => {
+      failTimes('step2', 4)
+      const onError = jasmine.createSpy('onError')
+      createTransaction(allSteps(), { retry: { maxAttempts: 2 } }).onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      transaction.resume()
+      await advanceClock(10)
+      expect(onError).toHaveBeenCalledTimes(2)
+      expect(callOrder.filter(name => name === 'step2').length).toEqual(4)
+    })
+
+    it('allows `resume` to be called synchronously in an onError callback', async () => {
+      failTimes('step2', 3)
+      spyOn(console, 'warn')
+      createTransaction(allSteps(), { retry: { maxAttempts: 2 } }).onError(() => transaction.resume())
       transaction.execute()
+      await advanceClock(20)
+      expect(console.warn).not.toHaveBeenCalled()
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step2',
+        'step2',
+        'step2',
+        'step3',
+        'step4',
+        'step5'
+      ])
+    })
+
+    it('runs the step right away instead of retrying it later when it is resumed while a retry is pending', async () => {
+      failTimes('step2', 1)
+      createTransaction(allSteps(), { retry: { maxAttempts: 2, delay: 5 } }).execute()
       await flushPromises()
-      expect(returnedError.message).toMatch(/2nd step.*didn't return a Promise.*{"not":"a promise"}/)
+      transaction.resume()
+      await advanceClock(20)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2',
+        'step2',
+        'step3',
+        'step4',
+        'step5'
+      ])
+    })
+
+    it('errors if it is resumed while the step is running', async () => {
+      steps.step2.result = new Promise(resolve => {})
+      createTransaction(allSteps(), { retry: { maxAttempts: 2 } }).execute()
+      await flushPromises()
+      expect(() => transaction.resume()).toThrowError('Transaction cannot be resumed while 2nd step is running')
+      expect(callOrder).toEqual([
+        'step1',
+        'step2'
+      ])
+    })
+
+    it('does not retry once the transaction has been abandoned', async () => {
+      failTimes('step2', 1)
+      createTransaction(allSteps(), { retry: { maxAttempts: 2, delay: 5 } }).execute()
+      await flushPromises()
+      transaction.abandon()
+      await advanceClock(10)
+      expect(callOrder).toEqual([
+        'step1',
+        'step2'
+      ])
+    })
+
+    it('errors if it is constructed with an invalid retry policy', () => {
+      expect(() => new Transaction(allSteps(), { retry: { maxAttempts: 0 } })).toThrowError(/`maxAttempts` to be a positive integer, got 0/)
+      expect(() => new Transaction(allSteps(), { retry: { backoff: 'linear' } })).toThrowError(/`backoff` to be 'fixed' or 'exponential', got "linear"/)
+      expect(() => new Transaction(allSteps(), { retry: { jitter: 2 } })).toThrowError(/`jitter` to be a boolean or a number between 0 and 1, got 2/)
+      expect(() => new Transaction(allSteps(), { retry: { retryIf: true } })).toThrowError(/`retryIf` to be a function/)
+      expect(() => new Transaction([{ run: () => {}, retry: 'yes' }])).toThrowError(/Expected the retry policy to be an object, got "yes"/)
+    })
+  })
+
+  describe('checkpoints', () => {
+    let store
+
+    const allSteps = () => Object.values(steps).map(step => step.spy)
+
+    beforeEach(() => {
+      store = new MemoryCheckpointStore()
+      spyOn(store, 'save').and.callThrough()
+      transaction = new Transaction(allSteps(), { id: 'provision-account', store })
+      transaction.onError(() => {})
+    })
+
+    it('saves a checkpoint with the step index, context and attempts after each step', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      transaction.execute({ initial: 'foo' })
+      await flushPromises()
+      expect(store.save).toHaveBeenCalledTimes(5)
+      expect(store.save.calls.argsFor(1)).toEqual(['provision-account', {
+        id: 'provision-account',
+        nextStep: 2,
+        context: { initial: 'foo', accountId: 7 },
+        completedSteps: [0, 1],
+        skippedSteps: [],
+        attempts: [1, 1]
+      }])
+    })
+
+    it('saves the attempts of a step which failed', async () => {
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError).toHaveBeenCalled()
+      expect(await store.load('provision-account')).toEqual({
+        id: 'provision-account',
+        nextStep: 2,
+        context: {},
+        completedSteps: [0, 1],
+        skippedSteps: [],
+        attempts: [1, 1, 1]
+      })
+    })
+
+    it('still calls onError if the attempts of a step which failed cannot be saved', async () => {
+      steps.step1.result = Promise.reject(new Error('step 1 failed'))
+      store.save.and.returnValue(Promise.reject(new Error('disk full')))
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 1st step: step 1 failed')
+    })
+
+    it('does not run the next step until the checkpoint is saved', async () => {
+      let finishSaving
+      store.save.and.returnValue(new Promise(resolve => { finishSaving = resolve }))
+      transaction.execute()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1'])
+      finishSaving()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1', 'step2', 'step3', 'step4', 'step5'])
+    })
+
+    it('calls onError if a checkpoint cannot be saved, and reruns the step when resumed', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      store.save.and.returnValues(Promise.resolve(), Promise.reject(new Error('disk full')))
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: could not save checkpoint because it was rejected with \'Error: disk full\'')
+      store.save.and.callThrough()
+      callOrder.length = 0
+      transaction.resume()
+      await flushPromises()
+      expect(callOrder).toEqual(['step2', 'step3', 'step4', 'step5'])
+    })
+
+    it('errors if it is constructed with a store but without an id', () => {
+      expect(() => new Transaction(allSteps(), { store })).toThrowError('A transaction with a checkpoint store needs a string `id`, got undefined')
+    })
+
+    describe('Transaction.restore', () => {
+      it('continues from the step after the last completed one with the saved context', async () => {
+        steps.step2.result = Promise.resolve({ accountId: 7 })
+        steps.step3.result = Promise.reject(new Error('step 3 failed'))
+        transaction.execute({ initial: 'foo' })
+        await flushPromises()
+
+        callOrder.length = 0
+        steps.step3.result = Promise.resolve()
+        const restored = Transaction.restore('provision-account', allSteps(), store)
+        const onSuccess = jasmine.createSpy('onSuccess')
+        restored.onSuccess(onSuccess)
+        restored.onError(error => fail(error.message))
+        restored.execute()
+        await flushPromises()
+        expect(callOrder).toEqual(['step3', 'step4', 'step5'])
+        expect(steps.step3.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', accountId: 7 }, { signal: jasmine.any(AbortSignal) }])
+        expect(onSuccess).toHaveBeenCalled()
+      })
+
+      it('keeps saving checkpoints and remembers the completed steps for `abandon`', async () => {
+        const undo = jasmine.createSpy('undo').and.returnValue(Promise.resolve())
+        const stepList = [{ run: steps.step1.spy, undo }, steps.step2.spy, steps.step3.spy]
+        steps.step2.result = Promise.reject(new Error('step 2 failed'))
+        transaction = new Transaction(stepList, { id: 'provision-account', store })
+        transaction.onError(() => {})
+        transaction.execute()
+        await flushPromises()
+
+        steps.step2.result = Promise.resolve()
+        steps.step3.result = Promise.reject(new Error('step 3 failed'))
+        const restored = Transaction.restore('provision-account', stepList, store)
+        restored.onError(() => {})
+        restored.execute()
+        await flushPromises()
+        expect((await store.load('provision-account')).attempts).toEqual([1, 2, 1])
+        await restored.abandon()
+        expect(undo).toHaveBeenCalled()
+      })
+
+      it('starts from the first step with the given context if there is no checkpoint', async () => {
+        const restored = Transaction.restore('another-id', allSteps(), store)
+        restored.onError(error => fail(error.message))
+        restored.execute({ initial: 'foo' })
+        await flushPromises()
+        expect(callOrder).toEqual(['step1', 'step2', 'step3', 'step4', 'step5'])
+        expect(steps.step1.spy.calls.mostRecent().args).toEqual([{ initial: 'foo' }, { signal: jasmine.any(AbortSignal) }])
+      })
+
+      it('calls onError if the checkpoint cannot be loaded', async () => {
+        spyOn(store, 'load').and.returnValue(Promise.reject(new Error('no permission')))
+        const onError = jasmine.createSpy('onError')
+        const restored = Transaction.restore('provision-account', allSteps(), store)
+        restored.onError(onError)
+        restored.execute()
+        await flushPromises()
+        expect(callOrder).toEqual([])
+        expect(onError.calls.mostRecent().args[0].message).toEqual('Error restoring checkpoint: it was rejected with \'Error: no permission\'')
+      })
+
+      it('tries to restore the checkpoint again when it is resumed after the checkpoint could not be loaded', async () => {
+        await store.save('provision-account', { nextStep: 3, context: { accountId: 7 }, completedSteps: [0, 1, 2], attempts: [1, 1, 1] })
+        const load = store.load.bind(store)
+        spyOn(store, 'load').and.returnValues(Promise.reject(new Error('no permission')), load('provision-account'))
+        const onError = jasmine.createSpy('onError')
+        const onSuccess = jasmine.createSpy('onSuccess')
+        const restored = Transaction.restore('provision-account', allSteps(), store)
+        restored.onError(onError)
+        restored.onSuccess(onSuccess)
+        restored.execute()
+        await flushPromises()
+        expect(onError).toHaveBeenCalledTimes(1)
+        restored.resume()
+        expect(onSuccess).not.toHaveBeenCalled()
+        expect(await restored).toEqual({ accountId: 7 })
+        expect(store.load).toHaveBeenCalledTimes(2)
+        expect(callOrder).toEqual(['step4', 'step5'])
+        expect(onSuccess).toHaveBeenCalled()
+      })
+
+      it('calls onError if the checkpoint does not fit the steps', async () => {
+        await store.save('provision-account', { nextStep: 9, context: {}, completedSteps: [], attempts: [] })
+        const onError = jasmine.createSpy('onError')
+        const restored = Transaction.restore('provision-account', allSteps(), store)
+        restored.onError(onError)
+        restored.execute()
+        await flushPromises()
+        expect(callOrder).toEqual([])
+        expect(onError.calls.mostRecent().args[0].message).toEqual('Error restoring checkpoint: the checkpoint\'s next step (9) does not exist in a transaction with 5 steps')
+      })
+
+      it('errors if it is executed again while the checkpoint is loading', () => {
+        const restored = Transaction.restore('provision-account', allSteps(), store)
+        restored.onError(() => {})
+        restored.execute()
+        expect(() => restored.execute()).toThrowError(/Transaction is already in progress/)
+      })
+    })
+  })
+
+  describe('Promise returned by execute', () => {
+    it('resolves with the final context once the last step completes', async () => {
+      steps.step2.result = Promise.resolve({ step2: 'bar' })
+      const context = await transaction.execute({ initial: 'foo' })
+      expect(context).toEqual({ initial: 'foo', step2: 'bar' })
+    })
+
+    it('resolves after the onSuccess callback is called', async () => {
+      const onSuccess = jasmine.createSpy('onSuccess')
+      transaction.onSuccess(onSuccess)
+      await transaction.execute()
+      expect(onSuccess).toHaveBeenCalled()
+    })
+
+    it('does not settle when a step fails, and resolves once the resumed transaction completes', async () => {
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
+      transaction.onError(() => {})
+      const settled = jasmine.createSpy('settled')
+      const promise = transaction.execute({ initial: 'foo' })
+      promise.then(settled, settled)
+      await flushPromises()
+      expect(settled).not.toHaveBeenCalled()
+
+      steps.step3.result = Promise.resolve({ step3: 'baz' })
+      transaction.resume()
+      expect(await promise).toEqual({ initial: 'foo', step3: 'baz' })
+    })
+
+    it('rejects with a TransactionError carrying the failed step and the context once the transaction is abandoned', async () => {
+      steps.step1.result = Promise.resolve({ step1: 'foo' })
+      const stepError = new Error('step 3 failed')
+      steps.step3.result = Promise.reject(stepError)
+      transaction.onError(() => transaction.abandon())
+      const error = await transaction.execute().then(() => fail('expected to reject'), error => error)
+      expect(error instanceof TransactionError).toBe(true)
+      expect(error.message).toEqual('Transaction was abandoned. Error in 3rd step: step 3 failed')
+      expect(error.stepIndex).toEqual(2)
+      expect(error.stepName).toEqual('3rd step')
+      expect(error.context).toEqual({ step1: 'foo' })
+      expect(error.cause).toBe(stepError)
+      expect(error.rollbackError).toBeUndefined()
+    })
+
+    it('rejects once the rollback is finished, including the rollback\'s error', async () => {
+      const undo = jasmine.createSpy('undo').and.returnValue(Promise.reject(new Error('could not undo')))
+      steps.step2.result = Promise.reject(new Error('step 2 failed'))
+      transaction = new Transaction([{ run: steps.step1.spy, undo }, steps.step2.spy])
+      transaction.onError(() => transaction.abandon().catch(() => {}))
+      const error = await transaction.execute().catch(error => error)
+      expect(undo).toHaveBeenCalled()
+      expect(error.rollbackError.message).toMatch(/undo of 1st step failed because it was rejected with 'Error: could not undo'/)
+    })
+
+    it('makes the transaction a thenable which can be awaited and chained', async () => {
+      steps.step5.result = Promise.resolve({ step5: 'quux' })
+      transaction.execute()
+      expect(await transaction).toEqual({ step5: 'quux' })
+      expect(await transaction.then(context => context.step5)).toEqual('quux')
+      expect(await Promise.all([transaction, Promise.resolve('other')])).toEqual([{ step5: 'quux' }, 'other'])
+    })
+
+    it('offers `catch` for the rejection of an abandoned transaction', async () => {
+      steps.step1.result = Promise.reject(new Error('step 1 failed'))
+      transaction.onError(() => transaction.abandon())
+      transaction.execute()
+      const error = await transaction.catch(error => error)
+      expect(error.message).toEqual('Transaction was abandoned. Error in 1st step: step 1 failed')
+    })
+  })
+
+  describe('named steps', () => {
+    beforeEach(() => {
+      transaction = new Transaction([
+        { name: 'create account', run: steps.step1.spy, undo: () => Promise.reject(new Error('account is locked')) },
+        steps.step2.spy,
+        { name: 'send invite', run: steps.step3.spy }
+      ])
+    })
+
+    it('runs step descriptors and plain functions alike', async () => {
+      transaction.onError(error => fail(error.message))
+      await transaction.execute()
+      expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+    })
+
+    it('uses the step name in error messages', async () => {
+      steps.step3.result = Promise.reject(new Error('mail server is down'))
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'send invite\': mail server is down')
+    })
+
+    it('falls back to the step position in error messages for steps without a name', async () => {
+      steps.step2.result = Promise.reject(new Error('quota exceeded'))
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: quota exceeded')
+    })
+
+    it('adds the step name and index to the error passed to the error callbacks', async () => {
+      steps.step3.result = Promise.reject(new Error('mail server is down'))
+      const onError = jasmine.createSpy('onError')
+      const onMailError = jasmine.createSpy('onMailError')
+      transaction.onError(onError)
+      transaction.onSpecificError(/mail/, onMailError)
+      transaction.execute()
+      await flushPromises()
+      expect(onMailError.calls.mostRecent().args[0].stepName).toEqual('send invite')
+      expect(onMailError.calls.mostRecent().args[0].stepIndex).toEqual(2)
+    })
+
+    it('uses the step name in the TransactionError and in the rollback summary', async () => {
+      steps.step3.result = Promise.reject(new Error('mail server is down'))
+      transaction.onError(() => transaction.abandon().catch(() => {}))
+      const error = await transaction.execute().catch(error => error)
+      expect(error.stepName).toEqual('send invite')
+      expect(error.rollbackError.message).toEqual('Transaction rollback has failed.\n' +
+        '  - undo of step \'create account\' failed because it was rejected with \'Error: account is locked\'\n')
+    })
+
+    it('errors if two steps have the same name', () => {
+      expect(() => new Transaction([
+        { name: 'create account', run: () => {} },
+        { name: 'create account', run: () => {} }
+      ])).toThrowError('There is more than one Transaction step named \'create account\'')
+    })
+
+    it('only compares the names of named steps', () => {
+      expect(() => new Transaction([
+        () => {},
+        { name: 'undefined', run: () => {} },
+        { name: 'constructor', run: () => {} }
+      ])).not.toThrow()
+    })
+
+    it('errors if a step name is not a non-empty string', () => {
+      expect(() => new Transaction([
+        { name: '', run: () => {} }
+      ])).toThrowError('1st Transaction step has a `name` which is not a non-empty string')
+      expect(() => new Transaction([
+        () => {},
+        { name: 42, run: () => {} }
+      ])).toThrowError('2nd Transaction step has a `name` which is not a non-empty string')
+    })
+
+    it('uses the step name in constructor errors', () => {
+      expect(() => new Transaction([
+        { name: 'create account', run: 'not a function' }
+      ])).toThrowError('Transaction step \'create account\' is not a function or an object with a `run` function (or a `parallel` list of steps, `branches`, an `approval` or nested `steps`), a Transaction or a list of steps')
+    })
+  })
+
+  describe('timeouts', () => {
+    const neverSettles = () => new Promise(() => {})
+
+    beforeEach(() => {
+      useFakeClock()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('fails a step with a TimeoutError if it does not settle within its `timeout`', async () => {
+      steps.step2.result = neverSettles()
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction([
+        steps.step1.spy,
+        { name: 'provision storage', run: steps.step2.spy, timeout: 5 },
+        steps.step3.spy
+      ])
+      transaction.onError(onError)
+      transaction.execute()
+      await advanceClock(20)
+      const error = onError.calls.mostRecent().args[0]
+      expect(error instanceof TimeoutError).toBe(true)
+      expect(error.message).toEqual('Error in step \'provision storage\': it did not settle within 5 ms')
+      expect(error.timeout).toEqual(5)
+      expect(callOrder).toEqual(['step1', 'step2'])
+    })
+
+    it('does not fail a step which settles within its `timeout`', async () => {
+      steps.step2.result = wait(2).then(() => ({ step2: 'bar' }))
+      transaction = new Transaction([steps.step1.spy, { run: steps.step2.spy, timeout: 50 }, steps.step3.spy])
+      transaction.onError(error => fail(error.message))
+      const result = transaction.execute()
+      await advanceClock(2)
+      expect(await result).toEqual({ step2: 'bar' })
+    })
+
+    it('uses the `timeout` option for steps without their own', async () => {
+      steps.step4.result = neverSettles()
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { timeout: 5 })
+      transaction.onError(onError)
+      transaction.execute()
+      await advanceClock(20)
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 4th step: it did not settle within 5 ms')
+    })
+
+    it('sends a TimeoutError through onSpecificError and lets the step be resumed', async () => {
+      steps.step3.result = neverSettles()
+      const onTimeout = jasmine.createSpy('onTimeout')
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { timeout: 5 })
+      transaction.onError(error => fail(error.message))
+      transaction.onSpecificError(/did not settle/, onTimeout)
+      transaction.execute()
+      await advanceClock(20)
+      expect(onTimeout).toHaveBeenCalled()
+
+      callOrder.length = 0
+      steps.step3.result = Promise.resolve()
+      transaction.resume()
+      await transaction
+      expect(callOrder).toEqual(['step3', 'step4', 'step5'])
+    })
+
+    it('retries a step which timed out if it has a retry policy', async () => {
+      steps.step1.spy.and.returnValues(neverSettles(), Promise.resolve({ step1: 'foo' }))
+      transaction = new Transaction([{ run: steps.step1.spy, timeout: 5, retry: { maxAttempts: 2 } }])
+      transaction.onError(error => fail(error.message))
+      const result = transaction.execute()
+      await advanceClock(5)
+      expect(await result).toEqual({ step1: 'foo' })
+    })
+
+    it('fails the current step with a TimeoutError once the `deadline` has passed', async () => {
+      steps.step2.result = wait(10)
+      steps.step3.result = neverSettles()
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { deadline: 20 })
+      transaction.onError(onError)
+      transaction.execute()
+      await advanceClock(40)
+      const error = onError.calls.mostRecent().args[0]
+      expect(error instanceof TimeoutError).toBe(true)
+      expect(error.message).toEqual('Error in 3rd step: the transaction\'s deadline of 20 ms has passed')
+      expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+    })
+
+    it('does not start another step once the `deadline` has passed', async () => {
+      steps.step1.result = wait(20)
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction([{ run: steps.step1.spy, timeout: 100 }, steps.step2.spy], { deadline: 5 })
+      transaction.onError(onError)
+      transaction.execute()
+      await advanceClock(10)
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 1st step: the transaction\'s deadline of 5 ms has passed')
+      await advanceClock(20)
+      expect(callOrder).toEqual(['step1'])
+    })
+
+    it('starts a new `deadline` when the transaction is resumed', async () => {
+      steps.step2.result = neverSettles()
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { deadline: 10 })
+      transaction.onError(() => {})
+      transaction.execute()
+      await advanceClock(20)
+      steps.step2.result = Promise.resolve()
+      transaction.resume()
+      await transaction
+      expect(callOrder).toEqual(['step1', 'step2', 'step2', 'step3', 'step4', 'step5'])
+    })
+
+    it('errors if it is constructed with an invalid timeout or deadline', () => {
+      expect(() => new Transaction([{ run: () => {}, timeout: -1 }])).toThrowError('1st Transaction step has a `timeout` which is not a positive number of milliseconds')
+      expect(() => new Transaction([() => {}], { timeout: 'soon' })).toThrowError('Expected the `timeout` option to be a positive number of milliseconds, got "soon"')
+      expect(() => new Transaction([() => {}], { deadline: 0 })).toThrowError('Expected the `deadline` option to be a positive number of milliseconds, got 0')
+    })
+  })
+
+  describe('cancellation', () => {
+    let onCancel
+
+    beforeEach(() => {
+      onCancel = jasmine.createSpy('onCancel')
+      transaction.onCancel(onCancel)
+    })
+
+    it('stops scheduling steps once the running step settles, and rejects with a CancellationError', async () => {
+      let resolveStep2
+      steps.step1.result = Promise.resolve({ step1: 'foo' })
+      steps.step2.result = new Promise(resolve => { resolveStep2 = () => resolve({ step2: 'bar' }) })
+      const promise = transaction.execute()
+      await flushPromises()
+      const cancelled = transaction.cancel('user navigated away')
+      await flushPromises()
+      expect(onCancel).not.toHaveBeenCalled()
+
+      resolveStep2()
+      await cancelled
+      expect(callOrder).toEqual(['step1', 'step2'])
+      expect(onCancel).toHaveBeenCalledWith('user navigated away')
+      const error = await promise.catch(error => error)
+      expect(error instanceof CancellationError).toBe(true)
+      expect(error.message).toEqual('Transaction was cancelled in 2nd step: user navigated away')
+      expect(error.reason).toEqual('user navigated away')
+      expect(error.stepIndex).toEqual(1)
+      expect(error.context).toEqual({ step1: 'foo', step2: 'bar' })
+    })
+
+    it('stops right away if the transaction is waiting to be resumed', async () => {
+      steps.step3.result = Promise.reject(new Error('step 3 failed'))
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel()
+      expect(onCancel).toHaveBeenCalled()
+      expect(() => transaction.resume()).toThrowError('Transaction has been cancelled and cannot be resumed')
+      expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+    })
+
+    it('does not report the error of the step which was running when it was cancelled', async () => {
+      let rejectStep2
+      steps.step2.result = new Promise((resolve, reject) => { rejectStep2 = () => reject(new Error('step 2 failed')) })
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      transaction.cancel()
+      rejectStep2()
+      await flushPromises()
+      expect(onError).not.toHaveBeenCalled()
+      expect(onCancel).toHaveBeenCalled()
+    })
+
+    it('drops a pending retry', async () => {
+      steps.step2.spy.and.callFake(() => {
+        callOrder.push('step2')
+        return Promise.reject(new Error('step 2 failed'))
+      })
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { retry: { maxAttempts: 3, delay: 5 } })
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel()
+      await wait(20)
+      expect(callOrder).toEqual(['step1', 'step2'])
+    })
+
+    it('calls the `undo` functions of the completed steps if asked to', async () => {
+      const undo = jasmine.createSpy('undo').and.returnValue(Promise.resolve())
+      steps.step2.result = Promise.reject(new Error('step 2 failed'))
+      transaction = new Transaction([{ run: steps.step1.spy, undo }, steps.step2.spy])
+      transaction.onError(() => {})
+      transaction.onCancel(onCancel)
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel('shutting down', { rollback: true })
+      expect(undo).toHaveBeenCalled()
+      expect(onCancel).toHaveBeenCalledWith('shutting down')
+    })
+
+    it('does not call the `undo` functions by default', async () => {
+      const undo = jasmine.createSpy('undo').and.returnValue(Promise.resolve())
+      steps.step2.result = Promise.reject(new Error('step 2 failed'))
+      transaction = new Transaction([{ run: steps.step1.spy, undo }, steps.step2.spy])
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel()
+      expect(undo).not.toHaveBeenCalled()
+    })
+
+    it('calls the `undo` functions by default if the `rollbackOnCancel` option is set', async () => {
+      const undo = jasmine.createSpy('undo').and.returnValue(Promise.resolve())
+      steps.step2.result = Promise.reject(new Error('step 2 failed'))
+      transaction = new Transaction([{ run: steps.step1.spy, undo }, steps.step2.spy], { rollbackOnCancel: true })
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel()
+      expect(undo).toHaveBeenCalled()
+    })
+
+    it('cancels the transaction when its signal is aborted, and aborts the signal of the running step', async () => {
+      const controller = new AbortController()
+      let resolveStep2
+      steps.step2.result = new Promise(resolve => { resolveStep2 = resolve })
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { signal: controller.signal })
+      transaction.onError(error => fail(error.message))
+      transaction.onCancel(onCancel)
+      const promise = transaction.execute({ initial: 'foo' })
+      await flushPromises()
+      expect(steps.step1.spy).toHaveBeenCalledWith({ initial: 'foo' }, { signal: jasmine.any(AbortSignal) })
+      const [, { signal }] = steps.step2.spy.calls.mostRecent().args
+
+      controller.abort()
+      expect(signal.aborted).toBe(true)
+      resolveStep2()
+      const error = await promise.catch(error => error)
+      expect(error instanceof CancellationError).toBe(true)
+      expect(onCancel).toHaveBeenCalled()
+      expect(callOrder).toEqual(['step1', 'step2'])
+    })
+
+    it('aborts the signal of the running step when it is cancelled without a signal of its own', async () => {
+      steps.step2.result = new Promise(() => {})
+      transaction = new Transaction(Object.values(steps).map(step => step.spy))
+      transaction.onError(error => fail(error.message))
+      transaction.execute()
+      await flushPromises()
+      const [, { signal }] = steps.step2.spy.calls.mostRecent().args
+      expect(signal.aborted).toBe(false)
+      transaction.cancel('shutting down')
+      expect(signal.aborted).toBe(true)
+    })
+
+    it('passes the steps of nested transactions a signal which is aborted along with the parent\'s', async () => {
+      const controller = new AbortController()
+      const stopOnAbort = jasmine.createSpy('stopOnAbort').and.callFake((context, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')))
+      }))
+      transaction = new Transaction([steps.step1.spy, { name: 'billing', steps: [stopOnAbort] }], { signal: controller.signal })
+      transaction.onError(error => fail(error.message))
+      transaction.onCancel(onCancel)
+      const promise = transaction.execute()
+      await flushPromises()
+      const [, { signal }] = stopOnAbort.calls.mostRecent().args
+      expect(signal.aborted).toBe(false)
+      controller.abort()
+      expect(signal.aborted).toBe(true)
+      const error = await promise.catch(error => error)
+      expect(error instanceof CancellationError).toBe(true)
+      expect(onCancel).toHaveBeenCalled()
+    })
+
+    it('stops listening to its signal once it has stopped', async () => {
+      const controller = new AbortController()
+      spyOn(controller.signal, 'removeEventListener').and.callThrough()
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { signal: controller.signal })
+      transaction.onError(error => fail(error.message))
+      await transaction.execute()
+      await flushPromises()
+      expect(controller.signal.removeEventListener).toHaveBeenCalledWith('abort', jasmine.any(Function))
+
+      const stopOnAbort = (context, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+      const otherTransaction = new Transaction([stopOnAbort], { signal: controller.signal })
+      otherTransaction.onError(error => fail(error.message))
+      otherTransaction.execute()
+      otherTransaction.cancel()
+      await otherTransaction.catch(() => {})
+      await flushPromises()
+      expect(controller.signal.removeEventListener.calls.count()).toEqual(2)
+    })
+
+    it('does not run any steps if its signal was aborted before it was executed', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      transaction = new Transaction(Object.values(steps).map(step => step.spy), { signal: controller.signal })
+      transaction.onError(error => fail(error.message))
+      const error = await transaction.execute().catch(error => error)
+      expect(error.message).toMatch(/^Transaction was cancelled before it started/)
+      expect(callOrder).toEqual([])
+    })
+
+    it('errors if the transaction has already completed or been cancelled', async () => {
+      await transaction.execute()
+      expect(() => transaction.cancel()).toThrowError('Transaction has already completed')
+
+      transaction = new Transaction(Object.values(steps).map(step => step.spy))
+      transaction.cancel()
+      expect(() => transaction.cancel()).toThrowError('Transaction has already been cancelled')
+    })
+  })
+
+  describe('parallel steps', () => {
+    let resolvers
+
+    function makeBranch (name, result) {
+      return jasmine.createSpy(name).and.callFake(() => {
+        callOrder.push(name)
+        return new Promise((resolve, reject) => { resolvers[name] = { resolve, reject } })
+      })
+    }
+
+    beforeEach(() => {
+      resolvers = {}
+    })
+
+    it('starts all of the branches at once, and continues once all of them have completed', async () => {
+      transaction = new Transaction([
+        steps.step1.spy,
+        { name: 'uploads', parallel: [makeBranch('upload a'), makeBranch('upload b'), makeBranch('upload c')] },
+        steps.step2.spy
+      ])
+      transaction.onError(error => fail(error.message))
+      transaction.execute()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1', 'upload a', 'upload b', 'upload c'])
+      resolvers['upload c'].resolve()
+      resolvers['upload a'].resolve()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1', 'upload a', 'upload b', 'upload c'])
+      resolvers['upload b'].resolve()
+      await transaction
+      expect(callOrder).toEqual(['step1', 'upload a', 'upload b', 'upload c', 'step2'])
+    })
+
+    it('passes the context to each branch and merges their results in the order they were declared', async () => {
+      steps.step1.result = Promise.resolve({ record: 1 })
+      transaction = new Transaction([
+        steps.step1.spy,
+        { parallel: [makeBranch('upload a'), makeBranch('upload b')] }
+      ])
+      transaction.onError(error => fail(error.message))
+      transaction.execute({ initial: 'foo' })
+      await flushPromises()
+      resolvers['upload b'].resolve({ file: 'b', b: true })
+      await flushPromises()
+      resolvers['upload a'].resolve({ file: 'a', a: true })
+      expect(await transaction).toEqual({ initial: 'foo', record: 1, file: 'b', a: true, b: true })
+    })
+
+    it('starts a branch once the branches it `dependsOn` have completed, and passes it their results', async () => {
+      const thumbnail = makeBranch('thumbnail')
+      transaction = new Transaction([{
+        parallel: [
+          { name: 'upload', run: makeBranch('upload') },
+          { name: 'metadata', run: makeBranch('metadata') },
+          { name: 'thumbnail', run: thumbnail, dependsOn: ['upload'] }
+        ]
+      }])
+      transaction.onError(error => fail(error.message))
+      transaction.execute({ initial: 'foo' })
+      await flushPromises()
+      expect(callOrder).toEqual(['upload', 'metadata'])
+      resolvers['upload'].resolve({ url: 'https://example.com/a.png' })
+      await flushPromises()
+      expect(callOrder).toEqual(['upload', 'metadata', 'thumbnail'])
+      expect(thumbnail).toHaveBeenCalledWith({ initial: 'foo', url: 'https://example.com/a.png' }, { signal: jasmine.any(AbortSignal) })
+      resolvers['thumbnail'].resolve({ thumbnailUrl: 'https://example.com/a-small.png' })
+      resolvers['metadata'].resolve()
+      expect(await transaction).toEqual({ initial: 'foo', url: 'https://example.com/a.png', thumbnailUrl: 'https://example.com/a-small.png' })
+    })
+
+    it('fails once the running branches have settled, and re-runs only the failed branches when resumed', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction([
+        { name: 'uploads', parallel: [makeBranch('upload a'), { name: 'upload b', run: makeBranch('upload b') }, makeBranch('upload c')] },
+        steps.step1.spy
+      ])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      resolvers['upload b'].reject(new Error('network error'))
+      await flushPromises()
+      expect(onError).not.toHaveBeenCalled()
+      resolvers['upload a'].resolve({ a: true })
+      resolvers['upload c'].resolve({ c: true })
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'uploads\': branch \'upload b\' failed because it was rejected with \'Error: network error\'')
+
+      callOrder.length = 0
+      transaction.resume()
+      await flushPromises()
+      expect(callOrder).toEqual(['upload b'])
+      resolvers['upload b'].resolve({ b: true })
+      expect(await transaction).toEqual({ a: true, b: true, c: true })
+      expect(callOrder).toEqual(['upload b', 'step1'])
+    })
+
+    it('does not start branches whose dependencies failed', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction([{
+        parallel: [
+          { name: 'upload', run: makeBranch('upload') },
+          { name: 'thumbnail', run: makeBranch('thumbnail'), dependsOn: ['upload'] }
+        ]
+      }])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      resolvers['upload'].reject(new Error('network error'))
+      await flushPromises()
+      expect(callOrder).toEqual(['upload'])
+      expect(onError).toHaveBeenCalled()
+    })
+
+    it('undoes the completed branches of a parallel step when the transaction is abandoned', async () => {
+      const undoOrder = []
+      const undo = name => () => { undoOrder.push(name); return Promise.resolve() }
+      steps.step2.spy.and.callFake(() => Promise.reject(new Error('step 2 failed')))
+      transaction = new Transaction([
+        { run: steps.step1.spy, undo: undo('step1') },
+        { name: 'uploads', parallel: [{ run: makeBranch('upload a'), undo: undo('upload a') }, { run: makeBranch('upload b'), undo: undo('upload b') }] },
+        steps.step2.spy
+      ])
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      resolvers['upload b'].resolve()
+      resolvers['upload a'].resolve()
+      await flushPromises()
+      await transaction.abandon()
+      expect(undoOrder).toEqual(['upload a', 'upload b', 'step1'])
+    })
+
+    it('undoes the completed branches of a parallel step which failed when the transaction is abandoned', async () => {
+      const undoA = jasmine.createSpy('undoA').and.returnValue(Promise.resolve())
+      const undoB = jasmine.createSpy('undoB').and.returnValue(Promise.resolve())
+      transaction = new Transaction([
+        { parallel: [{ run: makeBranch('upload a'), undo: undoA }, { run: makeBranch('upload b'), undo: undoB }] }
+      ])
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      resolvers['upload a'].resolve()
+      resolvers['upload b'].reject(new Error('network error'))
+      await flushPromises()
+      await transaction.abandon()
+      expect(undoA).toHaveBeenCalled()
+      expect(undoB).not.toHaveBeenCalled()
+    })
+
+    it('errors if it is constructed with invalid parallel steps', () => {
+      expect(() => new Transaction([{ name: 'uploads', parallel: [] }])).toThrowError('Transaction step \'uploads\' needs a non-empty list of `parallel` steps')
+      expect(() => new Transaction([{ parallel: [() => {}, 'nope'] }])).toThrowError('1st Transaction step has a 2nd branch which is not a function or an object with a `run` function')
+      expect(() => new Transaction([{ parallel: [() => {}], run: () => {} }])).toThrowError('1st Transaction step has a `parallel` list of steps, so its `run` and `undo` functions belong to those steps')
+      expect(() => new Transaction([{ parallel: [{ name: 'a', run: () => {} }, { name: 'a', run: () => {} }] }])).toThrowError('1st Transaction step has more than one branch named \'a\'')
+      expect(() => new Transaction([{ parallel: [{ name: 'a', run: () => {}, dependsOn: ['b'] }] }])).toThrowError('1st Transaction step has a branch \'a\' which depends on \'b\', but there is no branch with that name')
+      expect(() => new Transaction([{
+        parallel: [
+          { name: 'a', run: () => {}, dependsOn: ['c'] },
+          { name: 'b', run: () => {}, dependsOn: ['a'] },
+          { name: 'c', run: () => {}, dependsOn: ['b'] }
+        ]
+      }])).toThrowError('1st Transaction step has branches which depend on each other: a -> c -> b -> a')
+    })
+  })
+
+  describe('skipping and branching steps', () => {
+    it('skips a step whose `skipIf` returns truthy for the current context', async () => {
+      const skipIf = jasmine.createSpy('skipIf').and.callFake(context => context.hasAccount)
+      steps.step1.result = Promise.resolve({ hasAccount: true })
+      transaction = new Transaction([
+        steps.step1.spy,
+        { name: 'create account', run: steps.step2.spy, skipIf },
+        { run: steps.step3.spy, skipIf: context => !context.hasAccount }
+      ])
+      transaction.onError(error => fail(error.message))
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', hasAccount: true })
+      expect(skipIf).toHaveBeenCalledWith({ initial: 'foo', hasAccount: true })
+      expect(callOrder).toEqual(['step1', 'step3'])
+    })
+
+    it('shows skipped steps in the report', async () => {
+      steps.step3.result = new Promise(() => {})
+      transaction = new Transaction([
+        steps.step1.spy,
+        { name: 'create account', run: steps.step2.spy, skipIf: () => true },
+        steps.step3.spy,
+        steps.step4.spy
+      ])
+      transaction.onError(error => fail(error.message))
+      expect(transaction.report()).toEqual([
+        { index: 0, name: '1st step', status: 'pending' },
+        { index: 1, name: 'create account', status: 'pending' },
+        { index: 2, name: '3rd step', status: 'pending' },
+        { index: 3, name: '4th step', status: 'pending' }
+      ])
+      transaction.execute()
+      await flushPromises()
+      expect(transaction.report()).toEqual([
+        { index: 0, name: '1st step', status: 'completed' },
+        { index: 1, name: 'create account', status: 'skipped' },
+        { index: 2, name: '3rd step', status: 'running' },
+        { index: 3, name: '4th step', status: 'pending' }
+      ])
+    })
+
+    it('shows a step which failed in the report', async () => {
+      steps.step2.spy.and.callFake(() => Promise.reject(new Error('step 2 failed')))
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy])
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      expect(transaction.report().map(step => step.status)).toEqual(['completed', 'failed'])
+    })
+
+    it('does not undo skipped steps when the transaction is abandoned', async () => {
+      const undo1 = jasmine.createSpy('undo1').and.returnValue(Promise.resolve())
+      const undo2 = jasmine.createSpy('undo2').and.returnValue(Promise.resolve())
+      steps.step3.spy.and.callFake(() => Promise.reject(new Error('step 3 failed')))
+      transaction = new Transaction([
+        { run: steps.step1.spy, undo: undo1 },
+        { run: steps.step2.spy, undo: undo2, skipIf: () => true },
+        steps.step3.spy
+      ])
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      await transaction.abandon()
+      expect(undo1).toHaveBeenCalled()
+      expect(undo2).not.toHaveBeenCalled()
+    })
+
+    it('fails the step if its `skipIf` throws', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction = new Transaction([{ name: 'create account', run: steps.step1.spy, skipIf: () => { throw new Error('no account info') } }])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(callOrder).toEqual([])
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'create account\': its `skipIf` failed because no account info')
+    })
+
+    it('saves skipped steps in checkpoints, and restores them', async () => {
+      const store = new MemoryCheckpointStore()
+      const stepList = () => [steps.step1.spy, { run: steps.step2.spy, skipIf: () => true }, steps.step3.spy]
+      steps.step3.spy.and.callFake(() => Promise.reject(new Error('step 3 failed')))
+      transaction = new Transaction(stepList(), { id: 'order', store })
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      expect((await store.load('order')).skippedSteps).toEqual([1])
+
+      const restored = Transaction.restore('order', stepList(), store)
+      restored.onError(() => {})
+      restored.execute()
+      await flushPromises()
+      expect(restored.report().map(step => step.status)).toEqual(['completed', 'skipped', 'failed'])
+    })
+
+    describe('branch steps', () => {
+      let stepList
+
+      beforeEach(() => {
+        stepList = [
+          steps.step1.spy,
+          {
+            name: 'ship',
+            branch: context => context.shipping,
+            branches: {
+              express: [{ name: 'book courier', run: steps.step2.spy }, steps.step3.spy],
+              standard: [{ name: 'print label', run: steps.step4.spy }]
+            }
+          },
+          steps.step5.spy
+        ]
+      })
+
+      it('runs the steps of the branch chosen by the `branch` function, then continues with the next step', async () => {
+        steps.step2.result = Promise.resolve({ courier: 'bike' })
+        transaction = new Transaction(stepList)
+        transaction.onError(error => fail(error.message))
+        expect(await transaction.execute({ shipping: 'express' })).toEqual({ shipping: 'express', courier: 'bike' })
+        expect(callOrder).toEqual(['step1', 'step2', 'step3', 'step5'])
+        expect(steps.step3.spy).toHaveBeenCalledWith({ shipping: 'express', courier: 'bike' }, { signal: jasmine.any(AbortSignal) })
+      })
+
+      it('shows the chosen branch and the status of its steps in the report', async () => {
+        stepList[1].branches.express[1] = { run: steps.step3.spy, skipIf: () => true }
+        transaction = new Transaction(stepList)
+        transaction.onError(error => fail(error.message))
+        await transaction.execute({ shipping: 'express' })
+        expect(transaction.report()[1]).toEqual({
+          index: 1,
+          name: 'ship',
+          status: 'completed',
+          branch: 'express',
+          steps: [
+            { name: 'book courier', status: 'completed' },
+            { name: '2nd step', status: 'skipped' }
+          ]
+        })
+      })
+
+      it('continues with the step of the branch which failed when resumed, without choosing again', async () => {
+        const onError = jasmine.createSpy('onError')
+        const branch = jasmine.createSpy('branch').and.returnValue('express')
+        stepList[1].branch = branch
+        steps.step3.spy.and.callFake(() => {
+          callOrder.push('step3')
+          return Promise.reject(new Error('no courier available'))
+        })
+        transaction = new Transaction(stepList)
+        transaction.onError(onError)
+        transaction.execute()
+        await flushPromises()
+        expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'ship\': 2nd step of branch \'express\' failed because it was rejected with \'Error: no courier available\'')
+        expect(transaction.report()[1].steps).toEqual([
+          { name: 'book courier', status: 'completed' },
+          { name: '2nd step', status: 'failed' }
+        ])
+
+        callOrder.length = 0
+        steps.step3.spy.and.callFake(() => {
+          callOrder.push('step3')
+          return Promise.resolve()
+        })
+        transaction.resume()
+        await transaction
+        expect(callOrder).toEqual(['step3', 'step5'])
+        expect(branch).toHaveBeenCalledTimes(1)
+      })
+
+      it('undoes the completed steps of the branch when the transaction is abandoned', async () => {
+        const undoOrder = []
+        const undo = name => () => { undoOrder.push(name); return Promise.resolve() }
+        stepList[0] = { run: steps.step1.spy, undo: undo('step1') }
+        stepList[1].branches.express = [{ run: steps.step2.spy, undo: undo('step2') }, { run: steps.step3.spy, undo: undo('step3') }]
+        steps.step3.spy.and.callFake(() => Promise.reject(new Error('no courier available')))
+        transaction = new Transaction(stepList)
+        transaction.onError(() => {})
+        transaction.execute({ shipping: 'express' })
+        await flushPromises()
+        await transaction.abandon()
+        expect(undoOrder).toEqual(['step2', 'step1'])
+      })
+
+      it('fails the step if the `branch` function chooses a branch which does not exist', async () => {
+        const onError = jasmine.createSpy('onError')
+        transaction = new Transaction(stepList)
+        transaction.onError(onError)
+        transaction.execute({ shipping: 'overnight' })
+        await flushPromises()
+        expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'ship\': its `branch` function chose "overnight", but there is no branch with that key')
+      })
+
+      it('errors if it is constructed with invalid branches', () => {
+        expect(() => new Transaction([{ name: 'ship', branches: { express: [() => {}] } }])).toThrowError('Transaction step \'ship\' has `branches`, but no `branch` function to choose between them')
+        expect(() => new Transaction([{ branch: () => 'a', branches: {} }])).toThrowError('1st Transaction step needs an object of `branches`, each of which is a non-empty list of steps')
+        expect(() => new Transaction([{ branch: () => 'a', branches: { a: [] } }])).toThrowError('1st Transaction step has a branch \'a\' which is not a non-empty list of steps')
+        expect(() => new Transaction([{ branch: () => 'a', branches: { a: [() => {}, {}] } }])).toThrowError('1st Transaction step has a 2nd step in branch \'a\' which is not a function or an object with a `run` function')
+        expect(() => new Transaction([{ branch: () => 'a', branches: { a: [() => {}] }, run: () => {} }])).toThrowError('1st Transaction step has `branches`, so its `run` and `undo` functions belong to the steps of those branches')
+        expect(() => new Transaction([{ run: () => {}, skipIf: true }])).toThrowError('1st Transaction step has a `skipIf` which is not a function')
+      })
+
+      it('only compares the names of named steps of a branch', () => {
+        expect(() => new Transaction([{ branch: () => 'a', branches: { a: [() => {}, { name: 'undefined', run: () => {} }, { name: 'constructor', run: () => {} }] } }])).not.toThrow()
+        expect(() => new Transaction([{ branch: () => 'a', branches: { a: [{ name: 'pack', run: () => {} }, { name: 'pack', run: () => {} }] } }]))
+          .toThrowError('1st Transaction step has more than one step named \'pack\' in branch \'a\'')
+      })
+    })
+  })
+
+  describe('events', () => {
+    let events
+
+    function listenTo (...eventNames) {
+      eventNames.forEach(event => transaction.on(event, details => events.push(Object.assign({ event }, details))))
+    }
+
+    beforeEach(() => {
+      events = []
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('emits stepStart, stepSuccess and progress for each step, with the step, attempt, total and elapsed time', async () => {
+      transaction = new Transaction([steps.step1.spy, { name: 'create account', run: steps.step2.spy }])
+      transaction.onError(error => fail(error.message))
+      listenTo('stepStart', 'stepSuccess', 'progress')
+      await transaction.execute()
+      expect(events.map(({ event, stepIndex, stepName, attempt, total }) => ({ event, stepIndex, stepName, attempt, total }))).toEqual([
+        { event: 'stepStart', stepIndex: 0, stepName: '1st step', attempt: 1, total: 2 },
+        { event: 'stepSuccess', stepIndex: 0, stepName: '1st step', attempt: 1, total: 2 },
+        { event: 'progress', stepIndex: 0, stepName: '1st step', attempt: 1, total: 2 },
+        { event: 'stepStart', stepIndex: 1, stepName: 'create account', attempt: 1, total: 2 },
+        { event: 'stepSuccess', stepIndex: 1, stepName: 'create account', attempt: 1, total: 2 },
+        { event: 'progress', stepIndex: 1, stepName: 'create account', attempt: 1, total: 2 }
+      ])
+      events.forEach(({ elapsed }) => expect(elapsed).toBeGreaterThanOrEqual(0))
+      expect(events.filter(({ event }) => event === 'progress').map(({ done }) => done)).toEqual([1, 2])
+    })
+
+    it('emits the duration of each step and the new context with stepSuccess', async () => {
+      steps.step1.result = wait(20).then(() => ({ accountId: 7 }))
+      transaction = new Transaction([steps.step1.spy])
+      transaction.onError(error => fail(error.message))
+      listenTo('stepSuccess')
+      await transaction.execute({ initial: 'foo' })
+      expect(events[0].duration).toBeGreaterThanOrEqual(15)
+      expect(events[0].context).toEqual({ initial: 'foo', accountId: 7 })
+    })
+
+    it('emits contextChange when a step changes the context', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      steps.step2.result = Promise.resolve({ accountId: 7 })
+      steps.step3.result = Promise.resolve({ bucketId: 3 })
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy, steps.step3.spy])
+      transaction.onError(error => fail(error.message))
+      listenTo('contextChange')
+      await transaction.execute({ initial: 'foo' })
+      expect(events.map(({ stepIndex, previousContext, context }) => ({ stepIndex, previousContext, context }))).toEqual([
+        { stepIndex: 0, previousContext: { initial: 'foo' }, context: { initial: 'foo', accountId: 7 } },
+        { stepIndex: 2, previousContext: { initial: 'foo', accountId: 7 }, context: { initial: 'foo', accountId: 7, bucketId: 3 } }
+      ])
+    })
+
+    it('emits stepFailure for each failed attempt, saying whether the step will be retried', async () => {
+      const error = new Error('step 1 failed')
+      steps.step1.spy.and.callFake(() => Promise.reject(error))
+      transaction = new Transaction([steps.step1.spy], { retry: { maxAttempts: 2 } })
+      transaction.onError(() => {})
+      listenTo('stepStart', 'stepFailure')
+      transaction.execute()
+      await flushPromises()
+      await wait(0)
+      await flushPromises()
+      expect(events.map(({ event, attempt, willRetry }) => ({ event, attempt, willRetry }))).toEqual([
+        { event: 'stepStart', attempt: 1, willRetry: undefined },
+        { event: 'stepFailure', attempt: 1, willRetry: true },
+        { event: 'stepStart', attempt: 2, willRetry: undefined },
+        { event: 'stepFailure', attempt: 2, willRetry: false }
+      ])
+      expect(events[1].error).toBe(error)
+    })
+
+    it('emits stepSkip and progress for skipped steps', async () => {
+      transaction = new Transaction([steps.step1.spy, { run: steps.step2.spy, skipIf: () => true }])
+      transaction.onError(error => fail(error.message))
+      listenTo('stepSkip', 'progress')
+      await transaction.execute()
+      expect(events.map(({ event, stepIndex, done }) => ({ event, stepIndex, done }))).toEqual([
+        { event: 'progress', stepIndex: 0, done: 1 },
+        { event: 'stepSkip', stepIndex: 1, done: undefined },
+        { event: 'progress', stepIndex: 1, done: 2 }
+      ])
+    })
+
+    it('calls every listener of an event, and stops calling the ones removed with `off`', async () => {
+      const listener1 = jasmine.createSpy('listener1')
+      const listener2 = jasmine.createSpy('listener2')
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy])
+      transaction.onError(error => fail(error.message))
+      transaction.on('stepStart', listener1)
+      transaction.on('stepStart', listener2)
+      transaction.on('stepSuccess', () => transaction.off('stepStart', listener2))
+      await transaction.execute()
+      expect(listener1).toHaveBeenCalledTimes(2)
+      expect(listener2).toHaveBeenCalledTimes(1)
+    })
+
+    it('rethrows the errors of listeners asynchronously without affecting the transaction or other listeners', async () => {
+      useFakeClock()
+      const listener = jasmine.createSpy('listener')
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy])
+      transaction.onError(error => fail(error.message))
+      transaction.on('stepSuccess', () => { throw new Error('progress bar is broken') })
+      transaction.on('stepSuccess', listener)
+      await transaction.execute()
+      expect(callOrder).toEqual(['step1', 'step2'])
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(() => jest.runOnlyPendingTimers()).toThrowError('A listener of the Transaction\'s \'stepSuccess\' event failed: progress bar is broken')
+    })
+
+    it('errors if a listener is added for an event which does not exist, or is not a function', () => {
+      expect(() => transaction.on('stepDone', () => {})).toThrowError('Transaction has no \'stepDone\' event. Its events are: stepStart, stepSuccess, stepFailure, stepSkip, contextChange, progress, approvalRequested')
+      expect(() => transaction.on('progress')).toThrowError('Expected the listener of the \'progress\' event to be a function, got undefined')
+    })
+  })
+
+  describe('context history', () => {
+    beforeEach(() => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      steps.step2.result = Promise.resolve({ accountId: 8, plan: 'pro' })
+      steps.step3.result = Promise.resolve()
+      transaction = new Transaction([steps.step1.spy, { name: 'upgrade', run: steps.step2.spy }, steps.step3.spy])
+      transaction.onError(() => {})
+    })
+
+    it('keeps a snapshot of the context after each step, with what the step added or changed', async () => {
+      await transaction.execute({ userId: 42 })
+      expect(transaction.history()).toEqual([
+        { stepIndex: 0, stepName: '1st step', context: { userId: 42, accountId: 7 }, diff: { added: { accountId: 7 }, changed: {} } },
+        { stepIndex: 1, stepName: 'upgrade', context: { userId: 42, accountId: 8, plan: 'pro' }, diff: { added: { plan: 'pro' }, changed: { accountId: { from: 7, to: 8 } } } },
+        { stepIndex: 2, stepName: '3rd step', context: { userId: 42, accountId: 8, plan: 'pro' }, diff: { added: {}, changed: {} } }
+      ])
+    })
+
+    it('freezes the snapshots', async () => {
+      await transaction.execute({ userId: 42 })
+      const [entry] = transaction.history()
+      expect(Object.isFrozen(entry)).toBe(true)
+      expect(Object.isFrozen(entry.context)).toBe(true)
+      expect(Object.isFrozen(entry.diff)).toBe(true)
+      expect(transaction.history()[1].context).not.toBe(transaction.context)
+    })
+
+    describe('replayFrom', () => {
+      beforeEach(async () => {
+        steps.step3.spy.and.callFake(() => {
+          callOrder.push('step3')
+          return Promise.reject(new Error('plan not found'))
+        })
+        transaction.execute({ userId: 42 })
+        await flushPromises()
+        callOrder.length = 0
+        steps.step3.spy.and.callFake(() => {
+          callOrder.push('step3')
+          return Promise.resolve()
+        })
+      })
+
+      it('runs the steps again from the given step, with the context from before it', async () => {
+        steps.step2.result = Promise.resolve({ plan: 'basic' })
+        transaction.replayFrom(1)
+        expect(await transaction).toEqual({ userId: 42, accountId: 7, plan: 'basic' })
+        expect(callOrder).toEqual(['step2', 'step3'])
+        expect(steps.step2.spy.calls.mostRecent().args).toEqual([{ userId: 42, accountId: 7 }, { signal: jasmine.any(AbortSignal) }])
+        expect(transaction.history().map(({ stepIndex, diff }) => ({ stepIndex, diff }))).toEqual([
+          { stepIndex: 0, diff: { added: { accountId: 7 }, changed: {} } },
+          { stepIndex: 1, diff: { added: { plan: 'basic' }, changed: {} } },
+          { stepIndex: 2, diff: { added: {}, changed: {} } }
+        ])
+      })
+
+      it('can replay from the first step, with the context passed to `execute`', async () => {
+        transaction.replayFrom(0)
+        await transaction
+        expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+        expect(steps.step1.spy.calls.mostRecent().args).toEqual([{ userId: 42 }, { signal: jasmine.any(AbortSignal) }])
+      })
+
+      it('runs a parallel step again from scratch', async () => {
+        const branch = jasmine.createSpy('branch').and.returnValue(Promise.resolve())
+        transaction = new Transaction([{ parallel: [branch] }, () => Promise.reject(new Error('failed'))])
+        transaction.onError(() => {})
+        transaction.execute()
+        await flushPromises()
+        transaction.replayFrom(0)
+        await flushPromises()
+        expect(branch).toHaveBeenCalledTimes(2)
+      })
+
+      it('errors if the step has not been reached, or if the transaction cannot be replayed', async () => {
+        expect(() => transaction.replayFrom(3)).toThrowError('Expected the index of a step which has been reached (0 to 2), got 3')
+        expect(() => transaction.replayFrom('upgrade')).toThrowError('Expected the index of a step which has been reached (0 to 2), got "upgrade"')
+        expect(() => new Transaction([steps.step1.spy]).replayFrom(0)).toThrowError('Transaction has not been started, so there is nothing to replay')
+
+        steps.step1.result = new Promise(() => {})
+        transaction.replayFrom(0)
+        expect(() => transaction.replayFrom(0)).toThrowError('Transaction cannot be replayed while 1st step is running')
+      })
+
+      it('errors once the transaction has completed', async () => {
+        transaction.resume()
+        await transaction
+        expect(() => transaction.replayFrom(0)).toThrowError('Transaction has completed and cannot be replayed')
+      })
+
+      it('errors when replaying from before the step a restored transaction started at', async () => {
+        const store = new MemoryCheckpointStore()
+        await store.save('upgrade', { nextStep: 1, context: { userId: 42, accountId: 7 }, completedSteps: [0], attempts: [1] })
+        steps.step2.result = Promise.reject(new Error('plan not found'))
+        transaction = Transaction.restore('upgrade', [steps.step1.spy, steps.step2.spy], store)
+        transaction.onError(() => {})
+        transaction.execute()
+        await flushPromises()
+        expect(() => transaction.replayFrom(0)).toThrowError('Transaction cannot be replayed from 1st step, because it was restored from a checkpoint after it')
+        steps.step2.result = Promise.resolve()
+        transaction.replayFrom(1)
+        expect(await transaction).toEqual({ userId: 42, accountId: 7 })
+      })
+    })
+  })
+
+  describe('approval steps', () => {
+    let onError
+
+    beforeEach(() => {
+      onError = jasmine.createSpy('onError')
+      steps.step1.result = Promise.resolve({ amount: 120 })
+      transaction = new Transaction([
+        steps.step1.spy,
+        { name: 'manager approval', approval: context => ({ amount: context.amount }) },
+        steps.step2.spy
+      ])
+      transaction.onError(onError)
+    })
+
+    it('waits at an approval step, exposing the pending approval, until it is approved', async () => {
+      const now = Date.now()
+      transaction.execute()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1'])
+      expect(transaction.pendingApproval).toEqual({ stepIndex: 1, stepName: 'manager approval', details: { amount: 120 }, requestedAt: jasmine.any(Number) })
+      expect(transaction.pendingApproval.requestedAt).toBeGreaterThanOrEqual(now)
+      expect(transaction.report()[1].status).toEqual('awaitingApproval')
+
+      transaction.approve({ approvedBy: 'kim' })
+      expect(transaction.pendingApproval).toBeUndefined()
+      expect(await transaction).toEqual({ amount: 120, approvedBy: 'kim' })
+      expect(callOrder).toEqual(['step1', 'step2'])
+    })
+
+    it('emits approvalRequested with the details of the approval', async () => {
+      const listener = jasmine.createSpy('listener')
+      transaction.on('approvalRequested', listener)
+      transaction.execute()
+      await flushPromises()
+      expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ stepName: 'manager approval', details: { amount: 120 } }))
+    })
+
+    it('fails the step with an ApprovalRejectedError when it is rejected, and requests the approval again when resumed', async () => {
+      transaction.execute()
+      await flushPromises()
+      transaction.reject('over budget')
+      await flushPromises()
+      const error = onError.calls.mostRecent().args[0]
+      expect(error instanceof ApprovalRejectedError).toBe(true)
+      expect(error.message).toEqual('Error in step \'manager approval\': the approval was rejected: over budget')
+      expect(error.reason).toEqual('over budget')
+      expect(transaction.pendingApproval).toBeUndefined()
+      expect(transaction.report()[1].status).toEqual('failed')
+
+      transaction.resume()
+      await flushPromises()
+      expect(transaction.pendingApproval.stepName).toEqual('manager approval')
+    })
+
+    it('fails the step if its `approval` function throws, so that the transaction can be resumed', async () => {
+      const approval = jasmine.createSpy('approval').and.callFake(() => {
+        if (approval.calls.count() === 1) throw new Error('no amount')
+        return {}
+      })
+      transaction = new Transaction([{ approval }])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 1st step: no amount')
+      transaction.resume()
+      await flushPromises()
+      expect(transaction.pendingApproval).toEqual(jasmine.objectContaining({ stepName: '1st step', details: {} }))
+    })
+
+    it('does not apply the transaction\'s timeout and retry policy to approval steps', async () => {
+      transaction = new Transaction([{ approval: true }], { timeout: 10, retry: { maxAttempts: 3 } })
+      transaction.onError(onError)
+      transaction.execute()
+      await wait(20)
+      expect(transaction.pendingApproval).toEqual(jasmine.objectContaining({ stepName: '1st step', details: undefined }))
+      transaction.reject()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 1st step: the approval was rejected')
+    })
+
+    it('stops waiting for the approval when the transaction is cancelled', async () => {
+      transaction.execute()
+      await flushPromises()
+      await transaction.cancel('order withdrawn')
+      expect(transaction.pendingApproval).toBeUndefined()
+      expect(await transaction.catch(error => error) instanceof CancellationError).toBe(true)
+      expect(onError).not.toHaveBeenCalled()
+    })
+
+    it('errors if it is approved or rejected when it is not waiting for an approval', () => {
+      expect(() => transaction.approve()).toThrowError('Transaction is not waiting for an approval')
+      expect(() => transaction.reject()).toThrowError('Transaction is not waiting for an approval')
+    })
+
+    it('saves the pending approval in a checkpoint, so it can be approved after restoring the transaction', async () => {
+      const store = new MemoryCheckpointStore()
+      const stepList = () => [steps.step1.spy, { name: 'manager approval', approval: context => ({ amount: context.amount }) }, steps.step2.spy]
+      transaction = new Transaction(stepList(), { id: 'order', store })
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      const { requestedAt } = transaction.pendingApproval
+      expect((await store.load('order')).pendingApproval).toEqual({ stepIndex: 1, stepName: 'manager approval', details: { amount: 120 }, requestedAt })
+
+      callOrder.length = 0
+      const restored = Transaction.restore('order', stepList(), store)
+      restored.onError(onError)
+      restored.on('approvalRequested', () => restored.approve({ approvedBy: 'kim' }))
+      expect(await restored.execute()).toEqual({ amount: 120, approvedBy: 'kim' })
+      expect(callOrder).toEqual(['step2'])
+      expect((await store.load('order')).pendingApproval).toBeUndefined()
+    })
+
+    it('keeps when the approval was requested when it is requested again after restoring', async () => {
+      const store = new MemoryCheckpointStore()
+      await store.save('order', { nextStep: 0, context: {}, completedSteps: [], attempts: [], pendingApproval: { stepIndex: 0, requestedAt: 1000 } })
+      transaction = Transaction.restore('order', [{ approval: true }], store)
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(transaction.pendingApproval.requestedAt).toEqual(1000)
+    })
+
+    it('errors if it is constructed with an invalid approval step', () => {
+      expect(() => new Transaction([{ approval: 'yes' }])).toThrowError('1st Transaction step has an `approval` which is not `true` or a function')
+      expect(() => new Transaction([{ approval: true, run: () => {} }])).toThrowError('1st Transaction step has an `approval`, so it cannot have a `run` function, a `parallel` list of steps or `branches`')
+    })
+  })
+
+  describe('nested transactions', () => {
+    let onError
+
+    beforeEach(() => {
+      onError = jasmine.createSpy('onError')
+    })
+
+    it('runs a list of steps as a nested transaction with the parent\'s context, and continues with its final context', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      steps.step2.result = Promise.resolve({ invoiceId: 3 })
+      transaction = new Transaction([steps.step1.spy, [steps.step2.spy, steps.step3.spy], steps.step4.spy])
+      transaction.onError(onError)
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', accountId: 7, invoiceId: 3 })
+      expect(callOrder).toEqual(['step1', 'step2', 'step3', 'step4'])
+      expect(steps.step2.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', accountId: 7 }, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step4.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', accountId: 7, invoiceId: 3 }, { signal: jasmine.any(AbortSignal) }])
+    })
+
+    it('runs a Transaction as a step', async () => {
+      const billing = new Transaction([steps.step2.spy, steps.step3.spy])
+      transaction = new Transaction([steps.step1.spy, { name: 'billing', steps: billing }])
+      transaction.onError(onError)
+      await transaction.execute()
+      expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+      expect(billing.completed).toBe(true)
+      expect(transaction.report()[1]).toEqual({
+        index: 1,
+        name: 'billing',
+        status: 'completed',
+        steps: [
+          { index: 0, name: '1st step', status: 'completed' },
+          { index: 1, name: '2nd step', status: 'completed' }
+        ]
+      })
+    })
+
+    it('reports errors of nested steps to the parent with the path of the step which failed', async () => {
+      const childOnError = jasmine.createSpy('childOnError')
+      steps.step3.spy.and.callFake(() => Promise.reject(new Error('card declined')))
+      const billing = new Transaction([steps.step2.spy, { name: 'charge card', run: steps.step3.spy }])
+      billing.onError(childOnError)
+      transaction = new Transaction([steps.step1.spy, { name: 'billing', steps: billing }])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      const error = onError.calls.mostRecent().args[0]
+      expect(error.message).toEqual('Error in step \'billing\' > step \'charge card\': card declined')
+      expect(error.stepPath).toEqual('step \'billing\' > step \'charge card\'')
+      expect(error.stepName).toEqual('billing')
+      expect(childOnError).not.toHaveBeenCalled()
+    })
+
+    it('includes every level of nesting in the path', async () => {
+      steps.step3.spy.and.callFake(() => Promise.reject(new Error('card declined')))
+      transaction = new Transaction([{ name: 'order', steps: [steps.step1.spy, { name: 'billing', steps: [steps.step2.spy, { name: 'charge card', run: steps.step3.spy }] }] }])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].stepPath).toEqual('step \'order\' > step \'billing\' > step \'charge card\'')
+    })
+
+    it('resumes the nested transaction at its failed step when the parent is resumed', async () => {
+      steps.step3.spy.and.callFake(() => {
+        callOrder.push('step3')
+        return Promise.reject(new Error('card declined'))
+      })
+      transaction = new Transaction([steps.step1.spy, { name: 'billing', steps: [steps.step2.spy, steps.step3.spy] }, steps.step4.spy])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+
+      callOrder.length = 0
+      steps.step3.spy.and.callFake(() => {
+        callOrder.push('step3')
+        return Promise.resolve()
+      })
+      transaction.resume()
+      await transaction
+      expect(callOrder).toEqual(['step3', 'step4'])
+    })
+
+    it('resumes the nested transaction at its failed step when the parent retries the step', async () => {
+      steps.step3.spy.and.returnValues(Promise.reject(new Error('card declined')), Promise.resolve())
+      transaction = new Transaction([{ name: 'billing', steps: [steps.step2.spy, steps.step3.spy] }], { retry: { maxAttempts: 2 } })
+      transaction.onError(onError)
+      await transaction.execute()
+      expect(steps.step2.spy).toHaveBeenCalledTimes(1)
+      expect(steps.step3.spy).toHaveBeenCalledTimes(2)
+    })
+
+    it('undoes the completed steps of the nested transaction when the parent is abandoned', async () => {
+      const undoOrder = []
+      const undo = name => () => { undoOrder.push(name); return Promise.resolve() }
+      steps.step4.spy.and.callFake(() => Promise.reject(new Error('step 4 failed')))
+      transaction = new Transaction([
+        { run: steps.step1.spy, undo: undo('step1') },
+        [{ run: steps.step2.spy, undo: undo('step2') }, { run: steps.step3.spy, undo: undo('step3') }],
+        steps.step4.spy
+      ])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      await transaction.abandon()
+      expect(undoOrder).toEqual(['step3', 'step2', 'step1'])
+    })
+
+    it('undoes the completed steps of a nested transaction which failed when the parent is abandoned', async () => {
+      const undo2 = jasmine.createSpy('undo2').and.returnValue(Promise.resolve())
+      steps.step3.spy.and.callFake(() => Promise.reject(new Error('card declined')))
+      transaction = new Transaction([[{ run: steps.step2.spy, undo: undo2 }, steps.step3.spy]])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      await transaction.abandon()
+      expect(undo2).toHaveBeenCalled()
+    })
+
+    it('cancels the nested transaction when the parent is cancelled', async () => {
+      let finishStep2
+      steps.step2.result = new Promise(resolve => { finishStep2 = resolve })
+      const billing = new Transaction([steps.step2.spy, steps.step3.spy])
+      transaction = new Transaction([{ name: 'billing', steps: billing }, steps.step4.spy])
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      const cancelled = transaction.cancel('customer left')
+      finishStep2()
+      await cancelled
+      expect(callOrder).toEqual(['step2'])
+      expect(billing.cancellation.reason).toEqual('customer left')
+      const error = await transaction.catch(error => error)
+      expect(error.message).toEqual('Transaction was cancelled in step \'billing\': customer left')
+    })
+
+    it('errors if it is constructed with invalid nested steps', () => {
+      expect(() => new Transaction([{ name: 'billing', steps: [() => {}, 'nope'] }])).toThrowError('Transaction step \'billing\' has invalid nested steps: 2nd Transaction step is not a function')
+      expect(() => new Transaction([[]])).toThrowError('1st Transaction step has invalid nested steps: A transaction needs at least one step')
+      expect(() => new Transaction([{ steps: 'nope' }])).toThrowError('1st Transaction step has `steps` which are not a Transaction or a list of steps')
+      expect(() => new Transaction([{ steps: [() => {}], run: () => {} }])).toThrowError('1st Transaction step has nested `steps`, so it cannot have `run` and `undo` functions, a `parallel` list of steps, `branches` or an `approval`')
+    })
+  })
+
+  describe('idempotency', () => {
+    let onError
+
+    beforeEach(() => {
+      onError = jasmine.createSpy('onError')
+    })
+
+    it('does not pass idempotency keys unless the `idempotencyKeys` option is set', async () => {
+      transaction = new Transaction([steps.step1.spy])
+      transaction.onError(onError)
+      await transaction.execute({ initial: 'foo' })
+      expect(steps.step1.spy.calls.mostRecent().args).toEqual([{ initial: 'foo' }, { signal: jasmine.any(AbortSignal) }])
+    })
+
+    it('passes each step an idempotency key made of the transaction\'s id and the step\'s index', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy], { id: 'order-42', idempotencyKeys: true })
+      transaction.onError(onError)
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', accountId: 7 })
+      expect(steps.step1.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', idempotencyKey: 'order-42:step-0' }, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step2.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', accountId: 7, idempotencyKey: 'order-42:step-1' }, { signal: jasmine.any(AbortSignal) }])
+    })
+
+    it('generates a prefix for the keys of transactions without an id', async () => {
+      transaction = new Transaction([steps.step1.spy], { idempotencyKeys: true })
+      const otherTransaction = new Transaction([steps.step2.spy], { idempotencyKeys: true })
+      transaction.onError(onError)
+      otherTransaction.onError(onError)
+      await transaction.execute()
+      await otherTransaction.execute()
+      const [{ idempotencyKey }] = steps.step1.spy.calls.mostRecent().args
+      expect(idempotencyKey).toMatch(/^.+:step-0$/)
+      expect(steps.step2.spy.calls.mostRecent().args[0].idempotencyKey).not.toEqual(idempotencyKey)
+    })
+
+    it('passes the same key when a step is retried or resumed, and a new key when it is replayed', async () => {
+      steps.step1.spy.and.callFake(() => steps.step1.spy.calls.count() <= 2 ? Promise.reject(new Error('timed out')) : Promise.resolve())
+      steps.step2.spy.and.callFake(() => Promise.reject(new Error('step 2 failed')))
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy], { id: 'order-42', idempotencyKeys: true, retry: { maxAttempts: 2 } })
+      transaction.onError(onError)
+      transaction.execute()
+      await wait(0)
+      await flushPromises()
+      transaction.resume()
+      await wait(0)
+      await flushPromises()
+      transaction.replayFrom(0)
+      await flushPromises()
+      expect(steps.step1.spy.calls.allArgs().map(([context]) => context.idempotencyKey)).toEqual([
+        'order-42:step-0',
+        'order-42:step-0',
+        'order-42:step-0',
+        'order-42:step-0:replay-1'
+      ])
+    })
+
+    it('passes each branch of a `parallel` step a key of its own', async () => {
+      const branchA = jasmine.createSpy('branchA').and.returnValue(Promise.resolve({ a: 1 }))
+      const branchB = jasmine.createSpy('branchB').and.returnValue(Promise.resolve())
+      transaction = new Transaction([steps.step1.spy, { parallel: [branchA, { run: branchB, dependsOn: [] }] }], { id: 'order-42', idempotencyKeys: true })
+      transaction.onError(onError)
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', a: 1 })
+      expect(branchA.calls.mostRecent().args[0].idempotencyKey).toEqual('order-42:step-1:branch-0')
+      expect(branchB.calls.mostRecent().args[0].idempotencyKey).toEqual('order-42:step-1:branch-1')
+    })
+
+    it('passes each step of `branches` a key of its own', async () => {
+      const express1 = jasmine.createSpy('express1').and.returnValue(Promise.resolve({ shipped: true }))
+      const express2 = jasmine.createSpy('express2').and.returnValue(Promise.resolve())
+      transaction = new Transaction([
+        { branch: () => 'express', branches: { express: [express1, express2], standard: [steps.step2.spy] } }
+      ], { id: 'order-42', idempotencyKeys: true })
+      transaction.onError(onError)
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', shipped: true })
+      expect(express1.calls.mostRecent().args[0].idempotencyKey).toEqual('order-42:step-0:express:step-0')
+      expect(express2.calls.mostRecent().args[0].idempotencyKey).toEqual('order-42:step-0:express:step-1')
+    })
+
+    it('passes the steps of a nested transaction keys made of the key of the step they are nested in', async () => {
+      steps.step2.result = Promise.resolve({ accountId: 7 })
+      transaction = new Transaction([steps.step1.spy, { steps: [steps.step2.spy, steps.step3.spy] }], { id: 'order-1', idempotencyKeys: true })
+      transaction.onError(onError)
+      expect(await transaction.execute({ initial: 'foo' })).toEqual({ initial: 'foo', accountId: 7 })
+      expect(steps.step2.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', idempotencyKey: 'order-1:step-1:step-0' }, { signal: jasmine.any(AbortSignal) }])
+      expect(steps.step3.spy.calls.mostRecent().args).toEqual([{ initial: 'foo', accountId: 7, idempotencyKey: 'order-1:step-1:step-1' }, { signal: jasmine.any(AbortSignal) }])
+    })
+
+    describe('isDone', () => {
+      let isDone
+
+      beforeEach(() => {
+        isDone = jasmine.createSpy('isDone').and.returnValue(Promise.resolve(false))
+        steps.step1.result = Promise.resolve({ orderId: 3 })
+        steps.step2.spy.and.callFake(() => {
+          callOrder.push('step2')
+          return steps.step2.spy.calls.count() === 1 ? Promise.reject(new Error('timed out')) : Promise.resolve({ chargeId: 9 })
+        })
+        transaction = new Transaction([steps.step1.spy, { name: 'charge card', run: steps.step2.spy, isDone }, steps.step3.spy])
+        transaction.onError(onError)
+      })
+
+      it('is not called before the first attempt of a step', async () => {
+        steps.step2.spy.and.returnValue(Promise.resolve())
+        await transaction.execute()
+        expect(isDone).not.toHaveBeenCalled()
+      })
+
+      it('is called with the context before a step which failed is run again, which runs the step if it resolves falsy', async () => {
+        transaction.execute()
+        await flushPromises()
+        transaction.resume()
+        expect(await transaction).toEqual({ orderId: 3, chargeId: 9 })
+        expect(isDone).toHaveBeenCalledWith({ orderId: 3 })
+        expect(steps.step2.spy).toHaveBeenCalledTimes(2)
+      })
+
+      it('completes the step without running it if it resolves truthy, using an object it resolves with as the result', async () => {
+        isDone.and.returnValue(Promise.resolve({ chargeId: 8 }))
+        transaction.execute()
+        await flushPromises()
+        transaction.resume()
+        expect(await transaction).toEqual({ orderId: 3, chargeId: 8 })
+        expect(steps.step2.spy).toHaveBeenCalledTimes(1)
+        expect(callOrder).toEqual(['step1', 'step2', 'step3'])
+      })
+
+      it('is called before a step is retried automatically', async () => {
+        isDone.and.returnValue(Promise.resolve(true))
+        transaction = new Transaction([{ name: 'charge card', run: steps.step2.spy, isDone }], { retry: { maxAttempts: 2 } })
+        transaction.onError(onError)
+        await transaction.execute()
+        expect(isDone).toHaveBeenCalledTimes(1)
+        expect(steps.step2.spy).toHaveBeenCalledTimes(1)
+      })
+
+      it('is called before the step a restored transaction continues with, which may have been interrupted', async () => {
+        const store = new MemoryCheckpointStore()
+        await store.save('order-42', { nextStep: 1, context: { orderId: 3 }, completedSteps: [0], attempts: [1] })
+        isDone.and.returnValue(Promise.resolve({ chargeId: 8 }))
+        transaction = Transaction.restore('order-42', [steps.step1.spy, { run: steps.step2.spy, isDone }], store)
+        transaction.onError(onError)
+        expect(await transaction.execute()).toEqual({ orderId: 3, chargeId: 8 })
+        expect(steps.step2.spy).not.toHaveBeenCalled()
+      })
+
+      it('fails the step if it fails', async () => {
+        transaction.execute()
+        await flushPromises()
+        isDone.and.callFake(() => Promise.reject(new Error('payment provider is down')))
+        transaction.resume()
+        await flushPromises()
+        expect(onError.calls.mostRecent().args[0].message).toEqual('Error in step \'charge card\': its `isDone` check failed because payment provider is down')
+      })
+
+      it('errors if it is not a function', () => {
+        expect(() => new Transaction([{ run: () => {}, isDone: true }])).toThrowError('1st Transaction step has an `isDone` which is not a function')
+      })
+    })
+  })
+
+  describe('journal', () => {
+    let onError
+
+    beforeEach(() => {
+      onError = jasmine.createSpy('onError')
+    })
+
+    function entriesOf (transaction) {
+      return JSON.parse(transaction.exportJournal()).entries
+    }
+
+    it('records the start and outcome of the transaction and each attempt of its steps', async () => {
+      steps.step1.result = Promise.resolve({ accountId: 7 })
+      transaction = new Transaction([{ name: 'create account', run: steps.step1.spy }, steps.step2.spy], { id: 'provision-42', journal: true })
+      transaction.onError(onError)
+      await transaction.execute({ userId: 42 })
+      const entries = entriesOf(transaction)
+      expect(entries.map(({ type, stepName, attempt }) => [type, stepName, attempt])).toEqual([
+        ['transactionStart', undefined, 0],
+        ['stepStart', 'create account', 1],
+        ['stepSuccess', 'create account', 1],
+        ['stepStart', '2nd step', 1],
+        ['stepSuccess', '2nd step', 1],
+        ['transactionComplete', 'onSuccess callback', 0]
+      ])
+      entries.forEach(entry => {
+        expect(entry.transactionId).toEqual('provision-42')
+        expect(new Date(entry.at).toISOString()).toEqual(entry.at)
+      })
+      expect(entries[0].context).toEqual({ userId: 42 })
+      expect(entries[2].duration).toEqual(jasmine.any(Number))
+      expect(entries[2].context).toEqual({ userId: 42, accountId: 7 })
+    })
+
+    it('records failed attempts with their errors, and resumes', async () => {
+      steps.step1.spy.and.callFake(() => steps.step1.spy.calls.count() <= 2 ? Promise.reject(Object.assign(new Error('service unavailable'), { status: 503 })) : Promise.resolve())
+      transaction = new Transaction([steps.step1.spy], { journal: true, retry: { maxAttempts: 2 } })
+      const failed = new Promise(resolve => onError.and.callFake(resolve))
+      transaction.onError(onError)
+      transaction.execute()
+      await failed
+      transaction.resume()
+      await flushPromises()
+      const entries = entriesOf(transaction)
+      expect(entries.map(({ type, attempt }) => [type, attempt])).toEqual([
+        ['transactionStart', 0],
+        ['stepStart', 1],
+        ['stepFailure', 1],
+        ['stepStart', 2],
+        ['stepFailure', 2],
+        ['resume', 2],
+        ['stepStart', 1],
+        ['stepSuccess', 1],
+        ['transactionComplete', 0]
+      ])
+      expect(entries[2].willRetry).toBe(true)
+      expect(entries[4].willRetry).toBe(false)
+      expect(entries[2].error).toEqual({ name: 'Error', message: 'service unavailable', stack: jasmine.stringMatching(/service unavailable/), status: 503 })
+    })
+
+    it('redacts the listed properties of the context, however deeply they are nested', async () => {
+      steps.step1.result = Promise.resolve({ payment: { cardNumber: '4242424242424242', amount: 120 } })
+      transaction = new Transaction([steps.step1.spy], { journal: { redact: ['cardNumber', 'password'] } })
+      transaction.onError(onError)
+      const context = await transaction.execute({ password: 'hunter2' })
+      expect(context).toEqual({ password: 'hunter2', payment: { cardNumber: '4242424242424242', amount: 120 } })
+      expect(entriesOf(transaction)[2].context).toEqual({ password: '[REDACTED]', payment: { cardNumber: '[REDACTED]', amount: 120 } })
+    })
+
+    it('redacts the listed properties of instances of classes in the context', async () => {
+      class User {
+        constructor (name, password) {
+          this.name = name
+          this.password = password
+        }
+      }
+      transaction = new Transaction([steps.step1.spy], { journal: { redact: ['password'] } })
+      transaction.onError(onError)
+      const at = new Date(0)
+      await transaction.execute({ user: new User('ada', 'hunter2'), at })
+      expect(entriesOf(transaction)[0].context).toEqual({ user: { name: 'ada', password: '[REDACTED]' }, at: at.toISOString() })
+    })
+
+    it('records references back to an object of the context as circular', async () => {
+      const order = { id: 7, items: [] }
+      order.items.push({ order })
+      transaction = new Transaction([steps.step1.spy], { journal: true })
+      transaction.onError(onError)
+      const shared = { id: 1 }
+      await transaction.execute({ order, first: shared, second: shared })
+      expect(entriesOf(transaction)[0].context).toEqual({ order: { id: 7, items: [{ order: '[Circular]' }] }, first: { id: 1 }, second: { id: 1 } })
+    })
+
+    it('redacts the context with a function', async () => {
+      transaction = new Transaction([steps.step1.spy], { journal: { redact: context => ({ userId: context.userId }) } })
+      transaction.onError(onError)
+      await transaction.execute({ userId: 42, token: 'secret' })
+      expect(entriesOf(transaction)[0].context).toEqual({ userId: 42 })
+    })
+
+    it('records skipped steps, approvals and abandonment', async () => {
+      transaction = new Transaction([
+        { run: steps.step1.spy, skipIf: () => true },
+        { name: 'sign-off', approval: context => ({ amount: context.amount }) }
+      ], { journal: { redact: ['amount'] } })
+      transaction.onError(onError)
+      transaction.execute({ amount: 120 })
+      await flushPromises()
+      transaction.reject('too much')
+      await flushPromises()
+      transaction.abandon()
+      await transaction.catch(error => error)
+      const entries = entriesOf(transaction)
+      expect(entries.map(({ type }) => type)).toEqual([
+        'transactionStart', 'stepSkip', 'stepStart', 'approvalRequested', 'approvalRejected', 'stepFailure', 'transactionAbandoned'
+      ])
+      expect(entries[3].details).toEqual({ amount: '[REDACTED]' })
+      expect(entries[4].reason).toEqual('too much')
+      expect(entries[6].error).toEqual(jasmine.objectContaining({ name: 'TransactionError', message: 'Transaction was abandoned. Error in step \'sign-off\': the approval was rejected: too much' }))
+    })
+
+    it('records cancellation', async () => {
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy], { journal: true })
+      transaction.onError(onError)
+      transaction.execute()
+      transaction.cancel('user left')
+      await transaction.catch(error => error)
+      const entries = entriesOf(transaction)
+      expect(entries[entries.length - 1]).toEqual(jasmine.objectContaining({ type: 'transactionCancelled', reason: 'user left' }))
+    })
+
+    it('records restored checkpoints and replays', async () => {
+      const store = new MemoryCheckpointStore()
+      await store.save('order-42', { id: 'order-42', nextStep: 1, context: { orderId: 1 }, completedSteps: [0], skippedSteps: [], attempts: [1] })
+      steps.step2.spy.and.callFake(() => Promise.reject(new Error('step 2 failed')))
+      transaction = Transaction.restore('order-42', [steps.step1.spy, steps.step2.spy], store, { journal: true })
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      transaction.replayFrom(1)
+      await flushPromises()
+      const entries = entriesOf(transaction)
+      expect(entries.slice(0, 2)).toEqual([
+        jasmine.objectContaining({ type: 'transactionStart' }),
+        jasmine.objectContaining({ type: 'checkpointRestored', stepIndex: 1, stepName: '2nd step', context: { orderId: 1 } })
+      ])
+      expect(entries.find(entry => entry.type === 'replay')).toEqual(jasmine.objectContaining({ stepIndex: 1, context: { orderId: 1 } }))
+    })
+
+    it('exports the journal as JSON Lines', async () => {
+      transaction = new Transaction([steps.step1.spy], { id: 'order-42', journal: true })
+      transaction.onError(onError)
+      await transaction.execute()
+      const lines = transaction.exportJournal('jsonl').split('\n')
+      expect(lines.length).toEqual(4)
+      expect(lines.map(line => JSON.parse(line))).toEqual(entriesOf(transaction))
+    })
+
+    it('errors if the transaction has no journal, or for unknown formats', () => {
+      transaction = new Transaction([steps.step1.spy])
+      expect(() => transaction.exportJournal()).toThrowError('Transaction has no journal. Use the `journal` option to record one')
+      transaction = new Transaction([steps.step1.spy], { journal: true })
+      expect(() => transaction.exportJournal('csv')).toThrowError('Expected the format of the journal to be \'json\' or \'jsonl\', got "csv"')
+    })
+
+    it('errors if the `journal` option is invalid', () => {
+      expect(() => new Transaction([steps.step1.spy], { journal: { redact: 'password' } }))
+        .toThrowError('Expected the `journal` option to be true or an object with a `redact` list of context properties or function, got {"redact":"password"}')
+    })
+  })
+
+  describe('simulate', () => {
+    it('walks the steps without running them, predicting their results with their `simulate` functions', async () => {
+      const simulateAccount = jasmine.createSpy('simulateAccount').and.returnValue({ accountId: 'simulated' })
+      transaction = new Transaction([
+        { name: 'create account', run: steps.step1.spy, simulate: simulateAccount },
+        { name: 'provision storage', run: steps.step2.spy, simulate: context => Promise.resolve({ bucketId: `bucket-of-${context.accountId}` }) },
+        steps.step3.spy
+      ])
+      const plan = await transaction.simulate({ userId: 42 })
+      expect(callOrder).toEqual([])
+      expect(simulateAccount).toHaveBeenCalledWith({ userId: 42 })
+      expect(plan).toEqual({
+        steps: [
+          { index: 0, name: 'create account', status: 'planned', simulated: true },
+          { index: 1, name: 'provision storage', status: 'planned', simulated: true },
+          { index: 2, name: '3rd step', status: 'planned', simulated: false }
+        ],
+        context: { userId: 42, accountId: 'simulated', bucketId: 'bucket-of-simulated' }
+      })
+    })
+
+    it('uses mocks, by step name, instead of `simulate` functions', async () => {
+      transaction = new Transaction([
+        { name: 'create account', run: steps.step1.spy, simulate: () => ({ accountId: 'simulated' }) },
+        { name: 'provision storage', run: steps.step2.spy }
+      ])
+      const plan = await transaction.simulate({}, { mocks: { 'create account': { accountId: 'mocked' }, 'provision storage': context => ({ bucketId: context.accountId }) } })
+      expect(plan.context).toEqual({ accountId: 'mocked', bucketId: 'mocked' })
+      expect(plan.steps.map(step => step.simulated)).toEqual([true, true])
+    })
+
+    it('shows the steps which would be skipped and the branches which would be taken', async () => {
+      transaction = new Transaction([
+        { name: 'create order', run: steps.step1.spy, simulate: () => ({ shipping: 'express' }) },
+        { name: 'apply discount', run: steps.step2.spy, skipIf: context => !context.couponCode },
+        {
+          name: 'ship',
+          branch: context => context.shipping,
+          branches: {
+            express: [{ name: 'book courier', run: steps.step3.spy, simulate: () => ({ courier: 'bike' }) }],
+            standard: [{ name: 'print label', run: steps.step4.spy }]
+          }
+        }
+      ])
+      const plan = await transaction.simulate()
+      expect(plan.steps).toEqual([
+        { index: 0, name: 'create order', status: 'planned', simulated: true },
+        { index: 1, name: 'apply discount', status: 'skipped' },
+        {
+          index: 2,
+          name: 'ship',
+          status: 'planned',
+          branch: 'express',
+          skippedBranches: ['standard'],
+          steps: [{ index: 0, name: 'book courier', status: 'planned', simulated: true }]
+        }
+      ])
+      expect(plan.context).toEqual({ shipping: 'express', courier: 'bike' })
+      expect(callOrder).toEqual([])
+    })
+
+    it('simulates the branches of parallel steps in an order which respects their dependencies', async () => {
+      transaction = new Transaction([{
+        name: 'provision',
+        parallel: [
+          { name: 'welcome files', run: steps.step1.spy, dependsOn: ['storage'], simulate: context => ({ files: `files-in-${context.bucketId}` }) },
+          { name: 'storage', run: steps.step2.spy, simulate: () => ({ bucketId: 'bucket' }) },
+          steps.step3.spy
+        ]
+      }])
+      const plan = await transaction.simulate()
+      expect(plan.steps[0].steps.map(step => step.name)).toEqual(['storage', 'welcome files', '3rd branch'])
+      expect(plan.context).toEqual({ bucketId: 'bucket', files: 'files-in-bucket' })
+    })
+
+    it('simulates nested transactions and approval steps', async () => {
+      transaction = new Transaction([
+        { name: 'approval', approval: context => ({ amount: context.amount }) },
+        { name: 'billing', steps: [{ name: 'charge card', run: steps.step1.spy, simulate: () => ({ chargeId: 'simulated' }) }] }
+      ])
+      const plan = await transaction.simulate({ amount: 120 })
+      expect(plan.steps).toEqual([
+        { index: 0, name: 'approval', status: 'planned', approval: { amount: 120 }, simulated: false },
+        { index: 1, name: 'billing', status: 'planned', steps: [{ index: 0, name: 'charge card', status: 'planned', simulated: true }] }
+      ])
+      expect(plan.context).toEqual({ amount: 120, chargeId: 'simulated' })
+    })
+
+    it('does not affect the transaction', async () => {
+      transaction = new Transaction([steps.step1.spy, steps.step2.spy])
+      transaction.onError(error => fail(error.message))
+      await transaction.simulate()
+      await transaction.execute()
+      expect(callOrder).toEqual(['step1', 'step2'])
+    })
+
+    it('rejects if a step cannot be simulated', async () => {
+      transaction = new Transaction([{ name: 'create account', run: steps.step1.spy, simulate: () => { throw new Error('no test data') } }])
+      const error = await transaction.simulate().catch(error => error)
+      expect(error.message).toEqual('Simulation of step \'create account\' failed because no test data')
+    })
+
+    it('errors if `simulate` is not a function', () => {
+      expect(() => new Transaction([{ run: () => {}, simulate: {} }])).toThrowError('1st Transaction step has a `simulate` which is not a function')
+    })
+  })
+
+  describe('execute', () => {
+    it('errors if called before an onError callback is assigned', () => {
+      transaction = new Transaction(Object.values(steps).map(step => step.spy))
+      expect(() => transaction.execute()).toThrowError(/You called `execute` before assigning an `onError` callback./)
+    })
+
+    it('does not error if called after an onError callback is assigned', () => {
+      transaction = new Transaction(Object.values(steps).map(step => step.spy))
+      transaction.onError(() => {})
+      expect(() => transaction.execute()).not.toThrow()
+    })
+
+    it('errors if it is called after the transaction has been started', async () => {
+      steps.step1.result = Promise.reject(new Error('error in first step'))
+      transaction.onError(() => {})
+      transaction.execute()
+      await flushPromises()
+      expect(() => transaction.execute()).toThrowError(/Transaction is already in progress. To resume the transaction, use the `resume` method instead of `execute`/)
+    })
+  })
+
+  describe('constructor error handling', () => {
+    it('errors if it is constructed with a step that isn\'t a function', () => {
+      expect(() => new Transaction([
+        () => {},
+        () => {},
+        false,
+        () => {}
+      ])).toThrowError(/3rd Transaction step is not a function/i)
+      expect(() => new Transaction([
+        () => {},
+        false,
+        () => {},
+        () => {}
+      ])).toThrowError(/2nd Transaction step is not a function/i)
+    })
+
+    it('errors if it is constructed with a step object without a `run` function', () => {
+      expect(() => new Transaction([
+        () => {},
+        { undo: () => {} }
+      ])).toThrowError(/2nd Transaction step is not a function or an object with a `run` function/i)
+    })
+
+    it('errors if it is constructed with a step object whose `undo` is not a function', () => {
+      expect(() => new Transaction([
+        { run: () => {}, undo: 'not a function' }
+      ])).toThrowError(/1st Transaction step has an `undo` which is not a function/i)
+    })
+
+    it('does not error if it is constructed with all function steps', () => {
+      expect(() => new Transaction([
+        () => {},
+        () => {},
+        () => {},
+        () => {}
+      ])).not.toThrow()
+    })
+
+    it('errors if it is constructed with an empty list of steps', () => {
+      expect(() => new Transaction([])).toThrowError(/transaction needs at least one step/i)
+    })
+
+    it('errors if it is constructed with a non-Array value for steps', () => {
+      expect(() => new Transaction('apple sauce')).toThrowError(/expected a list of functions, got "apple sauce"/i)
+    })
+  })
+
+  describe('step error handling', () => {
+    it('indicates the correct step that an error occured in if it is a synchronous exception', async () => {
+      steps.step3.spy.and.callFake(() => { throw new Error('problem in starting step 3') })
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 3rd step: problem in starting step 3/)
+    })
+
+    it('throws descriptive error if an error occurs in an onSuccess callback', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.onSuccess(() => { throw new Error('problem with onSuccess') })
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in onSuccess callback: problem with onSuccess/)
+    })
+
+    it('indicates the correct step that an error occured in if it is a synchronous exception in the last step', async () => {
+      steps.step5.spy.and.callFake(() => { throw new Error('problem in starting step 5') })
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 5th step/)
+    })
+
+    it('indicates the correct step that an error occured in if it is indicated by a rejected Promise in the last step', async () => {
+      steps.step5.result = Promise.reject(new Error('problem during step 5'))
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toMatch(/Error in 5th step: problem during step 5/)
+    })
+
+    it('thows a descriptive error if a step does not return a promise', async () => {
+      let returnedError
+      transaction.onError(error => { returnedError = error })
+      steps.step2.result = { not: 'a promise' }
+      transaction.execute()
+      await flushPromises()
+      expect(returnedError.message).toMatch(/2nd step.*didn't return a Promise.*{"not":"a promise"}/)
+    })
+
+    it('fails a step which throws instead of rejecting, so that the transaction can be resumed', async () => {
+      const onError = jasmine.createSpy('onError')
+      transaction.onError(onError)
+      steps.step2.spy.and.callFake(() => {
+        if (steps.step2.spy.calls.count() === 1) throw new Error('sync boom')
+        return Promise.resolve()
+      })
+      const promise = transaction.execute()
+      await flushPromises()
+      expect(onError.calls.mostRecent().args[0].message).toEqual('Error in 2nd step: sync boom')
+      expect(transaction.report()[1].status).toEqual('failed')
+      transaction.resume()
+      await promise
+      expect(steps.step2.spy.calls.count()).toEqual(2)
+      expect(steps.step5.spy).toHaveBeenCalled()
     })
 
     it('thows a descriptive error if a step returns undefined', async () => {